@@ -1,9 +1,6 @@
 // index.js
 import 'dotenv/config';
-import fs from 'fs';
-import path from 'path';
 import http from 'http';
-import axios from 'axios';
 import {
   Client,
   GatewayIntentBits,
@@ -14,53 +11,138 @@ import {
   ChannelType,
   ActionRowBuilder,
   StringSelectMenuBuilder,
+  PermissionFlagsBits,
+  InteractionContextType,
+  RESTJSONErrorCodes,
+  ButtonBuilder,
+  ButtonStyle,
 } from 'discord.js';
-import { Agent as HttpAgent } from 'http';
-import { Agent as HttpsAgent } from 'https';
+import { openStorage, StorageError, LEGACY_GUILD_KEY } from './lib/storage/index.js';
+import { createMetrics, healthState, formatPrometheus } from './lib/metrics.js';
+import { sortByLevel, personalViewData } from './lib/personal-view.js';
+import { tokenAllowed, rosterRows, renderRosterHtml, isWebSort } from './lib/web.js';
+import { MAX_EDIT_FAILURES, classifyEditFailure, nextEditHealth, healthBadge } from './lib/reconcile.js';
+import { createLostArkClient, DEFAULT_BASE_URL } from './lib/lostark-api.js';
+import { withFixtures } from './lib/fixtures.js';
+import {
+  BOARD_SORTS, BOARD_MODES, BOARD_ROSTERS, normalizeBoardOptions, visibleRosters, needsCombatPower, needsBuild,
+  selectBoardEntries, sortBoardEntries, formatBoardLine, describeBoardOptions, paginateLines,
+} from './lib/board.js';
+import {
+  formatEquipment, formatEngravings, formatGems, formatCards, formatSkills, joinLines,
+} from './lib/armory.js';
+import crypto from 'crypto';
+import {
+  RAIDS, getRaid, homeworkRaids, isSupportClass, weekKey, nextResetAt,
+} from './lib/raids.js';
+import {
+  ROLE_LABELS, roleSlots, membersOf, joinParty, leaveParty, parseKstDateTime,
+} from './lib/raid-party.js';
+import { emptyRoleConfig, managedRoleIds, planRoleChanges } from './lib/roles.js';
+import { compareLines } from './lib/compare.js';
+import { rankCharacterChoices } from './lib/autocomplete.js';
+import { parseArkPassive, formatArkPassive } from './lib/ark-passive.js';
+import {
+  MARKET_CATEGORIES, WATCH_DIRECTIONS, PRICE_RETENTION_MS,
+  searchBody, pickQuote, watchHit, checkWatch, pushPrice, formatGold, watchKey,
+} from './lib/market.js';
+import {
+  FEED_KINDS, unseenItems, rememberKeys, kstDateKey, parseHHMM, isCalendarDue, scheduleForDay, formatSchedule,
+} from './lib/feeds.js';
+import { rosterSnapshot, diffRoster, formatAnnounceEvent } from './lib/announce.js';
+import {
+  CONFIG_LIMITS, DEFAULT_COOLDOWNS, guildConfig, validateConfigValue, createCooldowns,
+} from './lib/guild-config.js';
+import {
+  newVerifyCode, guildMatches, profileHasCode, findRosterClaims, markDuplicateRosters,
+} from './lib/verify.js';
 
 // ===================== 기본 설정 =====================
 const REFRESH_INTERVAL_MS    = 1 * 60 * 5000; // 🔁 1분마다 자동 갱신
-const API_DELAY_PER_USER_MS  = 300;           // Lost Ark API 호출 사이 지연
-const EDIT_DELAY_MS          = 500;           // 메시지 편집 사이 지연
-const SCAN_LIMIT_PER_CHANNEL = 50;            // 채널당 최근 N개 메시지 탐색
-const PERSIST_DIR = '.';
+const API_CONCURRENCY        = 4;             // 로스터 조회 동시 요청 수 (호출 제한은 API 클라이언트가 관리)
+const EDIT_CONCURRENCY       = 3;             // 보드/개인 메시지 편집 동시 처리 수
+const EDIT_DELAY_MS          = 500;           // 닉네임 변경 사이 지연
+const PERSIST_DIR = process.env.PERSIST_DIR || '.';
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json'; // json | sqlite
 const EPHEMERAL   = 1 << 6;                   // interaction flags
 const BOARD_TAG   = '[LOA_BOARD]';
-
-// ===================== HTTP keep-alive =====================
+const NICKNAME_MAX_LEN = 32;                  // 디스코드 닉네임 최대 길이
+const HISTORY_RETENTION_MS = 180 * 24 * 60 * 60 * 1000; // 성장 기록 보관 기간(180일)
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const SPARK_WIDTH = 14;                       // 스파크라인 칸 수
+const HOMEWORK_MAX_CHARS = 6;                 // 숙제 대상 캐릭터 수 (레벨 높은 순)
+const HOMEWORK_RAIDS_PER_CHAR = 3;            // 캐릭터당 주간 숙제 레이드 수
+const HOMEWORK_MAX_BUTTON_ROWS = 4;           // 드롭다운 1줄 + 버튼 최대 4줄 (디스코드 5줄 제한)
+const MAX_ROSTERS_PER_USER = 5;               // 유저당 등록 가능한 로스터 수
+const BUILD_CACHE_MS = 30 * 60 * 1000;        // 빌드 필터용 아크 패시브 시그니처 보관 시간
+const RAID_TAG = '[LOA_RAID]';
+const RAID_CHECK_INTERVAL_MS = 30 * 1000;     // 레이드 알림/마감 확인 주기
+const RAID_REMIND_BEFORE_MS  = 10 * 60 * 1000; // 시작 N분 전 참가자 호출
+const RAID_KEEP_AFTER_MS     = 24 * 60 * 60 * 1000; // 시작 후 보관 기간
+const FEED_CHECK_INTERVAL_MS = 60 * 1000;      // 오늘의 일정 게시 시각 확인 주기
+const FEED_POLL_INTERVAL_MS  = 10 * 60 * 1000; // 공지/이벤트 새 글 확인 주기
+const FEED_DEFAULT_TIME = '08:00';            // 오늘의 일정 기본 게시 시각 (KST)
+const MARKET_MAX_WATCHES_PER_USER = 10;       // 유저당 시세 감시 개수
+const MARKET_POLL_INTERVAL_MS = 15 * 60 * 1000; // 시세 감시 조회 주기 (기록 96개 = 하루)
+const ORPHAN_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 봇이 빠진 길드 데이터 보관 기간 (다시 초대하면 복구)
 const PORT = process.env.PORT || 8080;
-http.createServer((_, res) => res.end('ok')).listen(PORT, () => {
-  console.log('🌐 HTTP keep-alive server listening on', PORT);
-});
+const HEALTH_MAX_TICK_AGE_MS = 15 * 60 * 1000; // 마지막 성공 tick 이 이보다 오래되면 unhealthy
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/$/, ''); // /config web-roster 안내에 쓰는 외부 주소
+const WEB_CACHE_MS = 60 * 1000;               // 웹 로스터 응답 재사용 시간
 
 // 런타임 예외 로깅
 process.on('unhandledRejection', (e) => console.error('UNHANDLED REJECTION', e));
 process.on('uncaughtException', (e) => console.error('UNCAUGHT EXCEPTION', e));
-process.on('SIGTERM', () => { console.log('SIGTERM'); process.exit(0); });
 
-// ===================== 저장 파일 경로 =====================
-const LINKS_PATH  = path.join(PERSIST_DIR, 'links.json');   // { userId: { main, personals?: [..] } }
-const BOARDS_PATH = path.join(PERSIST_DIR, 'boards.json');  // [{channelId, messageId}]
+// ===================== 상태 / 지표 =====================
+const metrics = createMetrics();
+const runtime = {
+  booted: false,         // 저장소 열기 ~ 핸들러 등록까지 끝남
+  readyAt: null,         // 게이트웨이 첫 연결 시각
+  loginFailed: false,    // loginWithRetry 가 끝내 실패
+  tickStartedAt: null,   // 진행 중인 tick 시작 시각 (끝나면 null)
+  lastTickAt: null,      // 마지막으로 끝난 tick (단계 실패와 무관)
+  lastTickMs: null,
+  lastTickFailures: [],  // 마지막 tick 에서 실패한 단계 이름
+  lastSuccessfulTickAt: null, // 보드 / 개인 단계가 성공하고 API 호출이 전부 실패하지는 않은 tick
+  apiCalls: { ok: 0, failed: 0 }, // 누적 (tick 단위 성공 판단용)
+};
+
+// 저장소를 열기 전부터 리슨 (시작 중에는 /healthz 가 503 starting)
+http.createServer(handleHttp).listen(PORT, () => {
+  console.log('🌐 HTTP server listening on', PORT, '(/healthz /status /metrics /roster /api/roster)');
+});
+
+// 보드 / 개인 메시지 편집 결과 기록 (실패는 /status 최근 목록에도)
+function recordEdit(target, result, detail = {}) {
+  metrics.inc('edits', { target, result });
+  metrics.observe('edit', result === 'edited' || result === 'unchanged');
+  if (result !== 'edited' && result !== 'unchanged') metrics.fail('edit', { target, result, ...detail });
+}
 
 // ===================== Lost Ark API =====================
-const api = axios.create({
-  baseURL: 'https://developer-lostark.game.onstove.com',
-  headers: { Authorization: `Bearer ${process.env.LOSTARK_API_KEY}` },
-  timeout: 10000,
-  httpAgent:  new HttpAgent({ keepAlive: true }),
-  httpsAgent: new HttpsAgent({ keepAlive: true }),
+// 분당 호출 제한 / 동시 요청 합치기 / 재시도 / stale-while-revalidate 캐시는 클라이언트가 처리
+// LOSTARK_API_BASE_URL: 로컬 목 서버 등으로 교체, LOSTARK_FIXTURES=record|replay: 응답 녹화/재생 (LOSTARK_FIXTURE_DIR)
+const lostArkClient = createLostArkClient({
+  baseURL: process.env.LOSTARK_API_BASE_URL || DEFAULT_BASE_URL,
+  apiKey: process.env.LOSTARK_API_KEY,
+  perMinute: Number(process.env.LOSTARK_RATE_PER_MINUTE) || 100,
+  ttlMs: 60 * 1000,                // 1분 캐시
+  onResponse: ({ status, ok }) => {
+    metrics.inc('api_requests', { status: String(status) });
+    metrics.observe('api', ok);
+    runtime.apiCalls[ok ? 'ok' : 'failed'] += 1;
+  },
 });
+const api = withFixtures(lostArkClient, {
+  mode: process.env.LOSTARK_FIXTURES || null,
+  dir: process.env.LOSTARK_FIXTURE_DIR || 'fixtures',
+});
+if (process.env.LOSTARK_FIXTURES) console.log(`🎞️ Lost Ark API fixtures: ${process.env.LOSTARK_FIXTURES}`);
+const TICK_FETCH = { allowStale: false }; // 자동 갱신은 오래된 캐시 대신 새로 받은 값으로
 
-const cache = new Map();           // url -> { data, ts }
-const TTL_MS = 60 * 1000;          // 1분 캐시
-
-async function cachedGet(url, { force = false } = {}) {
-  const now = Date.now();
-  const c = cache.get(url);
-  if (!force && c && now - c.ts < TTL_MS) return c.data;
-  const { data } = await api.get(url);
-  cache.set(url, { data, ts: now });
-  return data;
+async function cachedGet(url, opts) {
+  return api.get(url, opts);
 }
 
 async function getSiblings(name, opts) {
@@ -80,91 +162,372 @@ async function getArkPassive(name, opts) {
   return cachedGet(url, opts);
 }
 
-// ===================== 아크 패시브 헬퍼 =====================
-function stripTags(html = '') {
-  return String(html)
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+async function getEquipment(name, opts) {
+  const url = `/armories/characters/${encodeURIComponent(name)}/equipment`;
+  return cachedGet(url, opts);
 }
 
-// ark 응답(JSON) → "포인트"만 텍스트로 변환 (효과는 표시 안 함)
-function formatArkPassive(ark, { maxPoints = 3 } = {}) {
-  if (!ark) return '등록된 아크 패시브가 없습니다.';
+async function getEngravings(name, opts) {
+  const url = `/armories/characters/${encodeURIComponent(name)}/engravings`;
+  return cachedGet(url, opts);
+}
 
-  const points = Array.isArray(ark.Points) ? ark.Points : [];
-  if (!points.length) return '등록된 아크 패시브가 없습니다.';
+async function getGems(name, opts) {
+  const url = `/armories/characters/${encodeURIComponent(name)}/gems`;
+  return cachedGet(url, opts);
+}
 
-  const lines = ['**포인트**'];
-  points.slice(0, maxPoints).forEach((p) => {
-    const desc  = stripTags(p.Description || '');
-    const value = p.Value != null ? ` (${p.Value} 포인트)` : '';
-    lines.push(`• ${p.Name}${value}${desc ? ` - ${desc}` : ''}`);
-  });
+async function getCards(name, opts) {
+  const url = `/armories/characters/${encodeURIComponent(name)}/cards`;
+  return cachedGet(url, opts);
+}
 
-  return lines.join('\n');
+async function getCombatSkills(name, opts) {
+  const url = `/armories/characters/${encodeURIComponent(name)}/combat-skills`;
+  return cachedGet(url, opts);
+}
+
+// 거래소 / 경매장 최저가 (없으면 null)
+async function getQuote(category, itemName, opts) {
+  const url = MARKET_CATEGORIES[category].source === 'auction' ? '/auctions/items' : '/markets/items';
+  const res = await api.post(url, searchBody(category, itemName), opts);
+  return pickQuote(category, res, itemName);
+}
+
+// ===================== 아크 패시브 빌드 =====================
+// 빌드 필터용 캐릭터별 시그니처 (아크 패시브는 자주 안 바뀌므로 API 캐시보다 길게 보관)
+const buildCache = new Map(); // name -> { signature, ts }
+
+async function loadBuilds(names) {
+  const builds = new Map();
+  await mapLimit([...new Set(names)], API_CONCURRENCY, async (name) => {
+    const hit = buildCache.get(name);
+    if (hit && Date.now() - hit.ts < BUILD_CACHE_MS) {
+      builds.set(name, hit.signature);
+      return;
+    }
+    try {
+      const { signature } = parseArkPassive(await getArkPassive(name));
+      buildCache.set(name, { signature, ts: Date.now() });
+      builds.set(name, signature);
+    } catch {
+      builds.set(name, hit?.signature ?? null);
+    }
+  });
+  return builds;
 }
 
-// ===================== 파일 I/O =====================
-function loadJSON(file, fallback) {
-  try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
-  catch { return fallback; }
+// ===================== 저장소 =====================
+// 시작 시 스키마 마이그레이션까지 실행 (예전 단일 길드 데이터는 GUILD_ID 길드로, 없으면 ready 에서 유일한 길드로 이동)
+// 열기 / 마이그레이션 실패는 데이터 없이 돌지 않도록 바로 종료 (재시작은 호스트에 맡김)
+let store;
+try {
+  store = await openStorage({
+    driver: STORAGE_DRIVER,
+    dir: PERSIST_DIR,
+    documents: ['links', 'boards', 'guilds', 'history', 'homework', 'raids', 'rosters', 'feeds', 'market'],
+    migrationContext: { defaultGuildId: process.env.GUILD_ID },
+  });
+} catch (e) {
+  console.error('🛑 storage open error:', e);
+  process.exit(1);
 }
-function saveJSON(file, obj) {
-  try { fs.writeFileSync(file, JSON.stringify(obj, null, 2), 'utf8'); }
-  catch { /* Railway read-only 대비 */ }
+process.on('SIGTERM', () => {
+  console.log('SIGTERM');
+  try {
+    flushHistory();
+  } catch {}
+  store.close();
+  process.exit(0);
+});
+
+// 쓰기 실패는 삼키지 않고 크게 로그 + 호출 측으로 전파
+function persist(name, value) {
+  try {
+    store.save(name, value);
+  } catch (e) {
+    console.error(`🛑 STORAGE WRITE FAILED [${name}]`, e?.cause ?? e);
+    throw e;
+  }
 }
 
-let links  = loadJSON(LINKS_PATH,  {});  // { userId: { main, personals? } }
-let boards = loadJSON(BOARDS_PATH, []);  // [{channelId, messageId}]
+let links  = store.load('links',  {});  // { guildId: { userId: { main, personals } } }
+let boards = store.load('boards', []);  // [{guildId, channelId, messageId}]
+let guildSettings = store.load('guilds', {});   // { guildId: { nicknameTemplate?, roles?, announceChannelId?, ...CONFIG_DEFAULTS } }
+let history = store.load('history', {});        // { name: [{ ts, itemLevel, combatPower }] }
+
+// 자동완성용: 형제 목록으로 본 적 있는 캐릭터 (시작 시 성장 기록에서 채움)
+const characterIndex = new Map(); // name -> { className?, level }
+for (const [name, list] of Object.entries(history)) {
+  characterIndex.set(name, { level: list[list.length - 1]?.itemLevel ?? null });
+}
+let homework = store.load('homework', {});      // { guildId: { week, users: { userId: { charName: [raidId] } } } }
+let raidParties = store.load('raids', []);      // [{ id, guildId, channelId, messageId, raidId, startAt, members, waitlist, ... }]
+let rosterSnapshots = store.load('rosters', {}); // { guildId: { 'userId:main': { main, chars: { name: itemLevel } } } } — 알림 비교용
+// { subscriptions: { guildId: { channelId, kinds: [], calendarTime, lastCalendarDate } }, seen: { notices: [key], events: [key] } }
+let feeds = store.load('feeds', { subscriptions: {}, seen: {} });
+// { watches: [{ id, guildId, userId, channelId, category, item, threshold, direction, hit }], history: { watchKey: [{ ts, price }] } }
+let market = store.load('market', { watches: [], history: {} });
 const boardsKey = (c, m) => `${c}:${m}`;
 let boardsSet = new Set(boards.map((b) => boardsKey(b.channelId, b.messageId)));
 
+// 길드별 링크 맵 (없으면 생성)
+const guildLinks = (guildId) => (links[guildId] ??= {});
+const getLink = (guildId, userId) => links[guildId]?.[userId];
+
+// 유저의 로스터 목록 (link.main = 주 로스터의 대표 캐릭터)
+const linkRosters = (link) => (Array.isArray(link?.rosters) ? link.rosters : []);
+const findRoster = (link, main) => linkRosters(link).find((r) => r.main === main) || null;
+
+// 로스터 하나 해제, 주 로스터였으면 남은 첫 로스터가 주 로스터
+function removeRoster(link, main) {
+  link.rosters = linkRosters(link).filter((r) => r.main !== main);
+  if (link.main !== main) return;
+  if (link.rosters.length) link.main = link.rosters[0].main;
+  else delete link.main;
+}
+
 // ===================== Discord 클라이언트 =====================
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildMembers,   // 역할 자동 부여: 전체 멤버 조회 (개발자 포털에서 Privileged Intent 허용 필요)
   ],
 });
 const toLevelNum = (s) => parseFloat(String(s).replace(/,/g, '') || '0');
+const toCombatPowerNum = (s) => {
+  const n = Number(String(s ?? '').replace(/,/g, ''));
+  return s != null && Number.isFinite(n) ? n : null;
+};
 
 // ===================== 슬래시 커맨드 정의 =====================
 const slashCommands = [
   new SlashCommandBuilder().setName('link')
-    .setDescription('대표 캐릭터 등록(등록 후 즉시 목록 출력)')
-    .addStringOption((o) => o.setName('name').setDescription('대표 캐릭터명').setRequired(true)),
+    .setDescription('로스터 등록/추가 (이미 등록한 로스터면 대표 캐릭터 교체, 등록 후 즉시 목록 출력)')
+    .addStringOption((o) => o.setName('name').setDescription('대표 캐릭터명').setRequired(true)
+      .setAutocomplete(true))
+    .addBooleanOption((o) => o.setName('primary').setDescription('주 로스터로 지정 (첫 로스터는 자동)')),
+
+  new SlashCommandBuilder().setName('link-verify')
+    .setDescription('로스터 인증 확인 (인게임 길드 또는 프로필에 넣은 인증 코드)')
+    .addStringOption((o) => o.setName('name').setDescription('확인할 로스터의 대표 캐릭터 (기본: 주 로스터)')
+      .setAutocomplete(true)),
 
   new SlashCommandBuilder().setName('unlink')
-    .setDescription('대표 캐릭터 연결 해제'),
+    .setDescription('로스터 연결 해제 (여러 개면 선택)')
+    .addStringOption((o) => o.setName('name').setDescription('해제할 로스터의 대표 캐릭터')
+      .setAutocomplete(true)),
+
+  new SlashCommandBuilder().setName('roster-primary')
+    .setDescription('주 로스터 지정 (닉네임/역할/숙제 기준)')
+    .addStringOption((o) => o.setName('name').setDescription('주 로스터로 쓸 대표 캐릭터').setRequired(true)
+      .setAutocomplete(true)),
 
   new SlashCommandBuilder().setName('mychars')
     .setDescription('내 계정의 모든 캐릭터 목록(즉시 조회)')
-    .addBooleanOption((o) => o.setName('public').setDescription('채널에 모두 보이게 표시')),
+    .addBooleanOption((o) => o.setName('public').setDescription('채널에 모두 보이게 표시'))
+    .addStringOption((o) => o.setName('roster').setDescription('볼 로스터의 대표 캐릭터 (기본: 주 로스터)')
+      .setAutocomplete(true)),
 
   new SlashCommandBuilder().setName('mychars-pin')
-    .setDescription('개인 캐릭터 목록 고정(공개) 및 자동 갱신'),
+    .setDescription('개인 캐릭터 목록 고정(공개) 및 자동 갱신')
+    .addStringOption((o) => o.setName('roster').setDescription('고정할 로스터의 대표 캐릭터 (기본: 주 로스터)')
+      .setAutocomplete(true))
+    .addBooleanOption((o) => o.setName('all').setDescription('모든 로스터를 각각 고정')),
+
+  new SlashCommandBuilder().setName('mychars-unpin')
+    .setDescription('개인 고정 메시지 해제 + 삭제 (기본: 이 채널의 내 고정)')
+    .addStringOption((o) => o.setName('roster').setDescription('해제할 로스터의 대표 캐릭터 (모든 채널)')
+      .setAutocomplete(true))
+    .addBooleanOption((o) => o.setName('all').setDescription('이 서버의 내 고정 모두 해제')),
+
+  new SlashCommandBuilder().setName('lookup')
+    .setDescription('아무 캐릭터나 조회 (원정대 목록 + 프로필 + 아크 패시브 + 상세 탭)')
+    .addStringOption((o) => o.setName('name').setDescription('캐릭터명').setRequired(true)
+      .setAutocomplete(true))
+    .addBooleanOption((o) => o.setName('public').setDescription('채널에 모두 보이게 표시')),
+
+  new SlashCommandBuilder().setName('compare')
+    .setDescription('두 캐릭터 비교 (아이템 레벨, 전투력, 아크 패시브 포인트, 장비)')
+    .addStringOption((o) => o.setName('a').setDescription('캐릭터명 (🅰)').setRequired(true)
+      .setAutocomplete(true))
+    .addStringOption((o) => o.setName('b').setDescription('캐릭터명 (🅱)').setRequired(true)
+      .setAutocomplete(true))
+    .addBooleanOption((o) => o.setName('public').setDescription('채널에 모두 보이게 표시')),
+
+  new SlashCommandBuilder().setName('market')
+    .setDescription('거래소 / 경매장 시세 조회와 가격 알림')
+    .addSubcommand((s) => s.setName('price').setDescription('현재 최저가 + 최근 시세')
+      .addStringOption((o) => o.setName('item').setDescription('아이템 이름 (예: 운명의 파괴석)').setRequired(true))
+      .addStringOption((o) => o.setName('category').setDescription('분류 (기본: 강화 재료)')
+        .addChoices(...Object.entries(MARKET_CATEGORIES).map(([value, c]) => ({ name: c.name, value }))))
+      .addBooleanOption((o) => o.setName('public').setDescription('채널에 모두 보이게 표시')))
+    .addSubcommand((s) => s.setName('watch').setDescription('가격이 기준을 넘으면 DM 으로 알림 (DM 이 막혀 있으면 이 채널에서 호출)')
+      .addStringOption((o) => o.setName('item').setDescription('아이템 이름').setRequired(true))
+      .addNumberOption((o) => o.setName('threshold').setDescription('기준 가격 (골드, 거래소는 묶음 단위)').setRequired(true)
+        .setMinValue(0))
+      .addStringOption((o) => o.setName('direction').setDescription('알림 조건 (기본: 이하로 떨어지면)')
+        .addChoices(...Object.entries(WATCH_DIRECTIONS).map(([value, name]) => ({ name, value }))))
+      .addStringOption((o) => o.setName('category').setDescription('분류 (기본: 강화 재료)')
+        .addChoices(...Object.entries(MARKET_CATEGORIES).map(([value, c]) => ({ name: c.name, value })))))
+    .addSubcommand((s) => s.setName('unwatch').setDescription('가격 알림 해제')
+      .addStringOption((o) => o.setName('item').setDescription('해제할 아이템').setRequired(true)
+        .setAutocomplete(true)))
+    .addSubcommand((s) => s.setName('list').setDescription('내 가격 알림 목록')),
 
   new SlashCommandBuilder().setName('board-enable')
-    .setDescription('현재 채널에 공용 보드 메시지를 생성/등록(자동 갱신 대상)'),
+    .setDescription('현재 채널에 공용 보드 메시지를 생성/등록(자동 갱신 대상, 다시 실행하면 옵션 교체)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addStringOption((o) => o.setName('sort').setDescription('정렬 기준 (기본: 아이템 레벨)')
+      .addChoices(...Object.entries(BOARD_SORTS).map(([value, name]) => ({ name, value }))))
+    .addStringOption((o) => o.setName('mode').setDescription('표시 방식 (기본: 유저별 최고 캐릭터)')
+      .addChoices(...Object.entries(BOARD_MODES).map(([value, name]) => ({ name, value }))))
+    .addStringOption((o) => o.setName('rosters').setDescription('표시할 로스터 (기본: 주 로스터만)')
+      .addChoices(...Object.entries(BOARD_ROSTERS).map(([value, name]) => ({ name, value }))))
+    .addStringOption((o) => o.setName('server').setDescription('서버 필터 (예: 루페온)'))
+    .addStringOption((o) => o.setName('class').setDescription('직업 필터 (예: 바드)'))
+    .addNumberOption((o) => o.setName('min-level').setDescription('최소 아이템 레벨'))
+    .addIntegerOption((o) => o.setName('top').setDescription('상위 N명/개만 표시')
+      .setMinValue(1).setMaxValue(500))
+    .addStringOption((o) => o.setName('build').setDescription('아크 패시브 빌드 필터 (예: 절실한 구원, 특화)')),
 
   new SlashCommandBuilder().setName('board-disable')
-    .setDescription('현재 채널의 공용 보드 관리를 해제(메시지는 삭제하지 않음)'),
+    .setDescription('현재 채널의 공용 보드 관리를 해제(메시지는 삭제하지 않음)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  new SlashCommandBuilder().setName('board-list')
+    .setDescription('이 서버에서 관리 중인 보드 / 개인 고정 메시지와 갱신 상태')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
   new SlashCommandBuilder().setName('board-refresh')
-    .setDescription('모든 보드 즉시 갱신'),
+    .setDescription('이 서버의 모든 보드 즉시 갱신')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
   new SlashCommandBuilder().setName('board-scan')
-    .setDescription('길드의 모든 채널에서 보드 메시지를 자동 탐색/등록'),
+    .setDescription('길드의 모든 채널에서 보드 메시지를 자동 탐색/등록')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  new SlashCommandBuilder().setName('config')
+    .setDescription('서버 설정 보기/변경 (갱신 간격, 탐색 범위, 보드 제목, 관리자 역할, 쿨다운, 웹 로스터)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((s) => s.setName('show').setDescription('현재 설정 보기'))
+    .addSubcommand((s) => s.setName('refresh-interval').setDescription('보드/개인 메시지 자동 갱신 간격(분)')
+      .addIntegerOption((o) => o.setName('minutes').setDescription(`${CONFIG_LIMITS.refreshMinutes.join(' ~ ')}분`)
+        .setRequired(true).setMinValue(CONFIG_LIMITS.refreshMinutes[0]).setMaxValue(CONFIG_LIMITS.refreshMinutes[1])))
+    .addSubcommand((s) => s.setName('scan-limit').setDescription('보드 탐색 시 채널당 확인할 최근 메시지 수')
+      .addIntegerOption((o) => o.setName('count').setDescription(`${CONFIG_LIMITS.scanLimit.join(' ~ ')}개`)
+        .setRequired(true).setMinValue(CONFIG_LIMITS.scanLimit[0]).setMaxValue(CONFIG_LIMITS.scanLimit[1])))
+    .addSubcommand((s) => s.setName('board-title').setDescription('보드 제목 (비우면 기본값)')
+      .addStringOption((o) => o.setName('title').setDescription('보드 제목')
+        .setMaxLength(CONFIG_LIMITS.boardTitle[1])))
+    .addSubcommand((s) => s.setName('admin-role').setDescription('관리자 명령을 쓸 수 있는 역할 추가/제거')
+      .addStringOption((o) => o.setName('action').setDescription('추가 / 제거').setRequired(true)
+        .addChoices({ name: '추가', value: 'add' }, { name: '제거', value: 'remove' }))
+      .addRoleOption((o) => o.setName('role').setDescription('역할').setRequired(true)))
+    .addSubcommand((s) => s.setName('cooldown').setDescription('관리자 명령 쿨다운(초, 서버 단위)')
+      .addStringOption((o) => o.setName('command').setDescription('명령').setRequired(true)
+        .addChoices(...Object.keys(DEFAULT_COOLDOWNS).map((c) => ({ name: `/${c}`, value: c }))))
+      .addIntegerOption((o) => o.setName('seconds').setDescription(`${CONFIG_LIMITS.cooldown.join(' ~ ')}초`)
+        .setRequired(true).setMinValue(CONFIG_LIMITS.cooldown[0]).setMaxValue(CONFIG_LIMITS.cooldown[1])))
+    .addSubcommand((s) => s.setName('verify-guild').setDescription('이 인게임 길드 소속 캐릭터는 /link 자동 인증 (비우면 끔)')
+      .addStringOption((o) => o.setName('name').setDescription('인게임 길드 이름')
+        .setMaxLength(CONFIG_LIMITS.verifyGuildName[1])))
+    .addSubcommand((s) => s.setName('web-roster').setDescription('읽기 전용 웹 로스터 링크 켜기(새 토큰 발급)/끄기')
+      .addBooleanOption((o) => o.setName('enabled').setDescription('켜기 / 끄기').setRequired(true))),
+
+  new SlashCommandBuilder().setName('nickname-template')
+    .setDescription('닉네임 자동 동기화 템플릿 설정(비우면 동기화 끔)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageNicknames)
+    .addStringOption((o) => o.setName('template')
+      .setDescription('예: {main} | {class} {itemLevel}  (사용 가능: {main} {class} {itemLevel} {server})')),
+
+  new SlashCommandBuilder().setName('announce-channel')
+    .setDescription('레벨업 / 새 캐릭터 / 레이드 입장 달성 알림 채널 설정(비우면 알림 끔)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addChannelOption((o) => o.setName('channel').setDescription('알림을 올릴 채널')
+      .addChannelTypes(ChannelType.GuildText)),
+
+  new SlashCommandBuilder().setName('announce-mute')
+    .setDescription('내 캐릭터 성장 알림 끄기/켜기')
+    .addBooleanOption((o) => o.setName('mute').setDescription('true = 알림 끄기, false = 다시 켜기').setRequired(true)),
+
+  new SlashCommandBuilder().setName('feed')
+    .setDescription('로스트아크 공지 / 이벤트 / 오늘의 일정 자동 게시')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((s) => s.setName('subscribe').setDescription('채널로 받기 (기본: 현재 채널, 전체)')
+      .addStringOption((o) => o.setName('kind').setDescription('받을 종류 (기본: 전체)')
+        .addChoices(...Object.entries(FEED_KINDS).map(([value, name]) => ({ name, value }))))
+      .addChannelOption((o) => o.setName('channel').setDescription('게시할 채널')
+        .addChannelTypes(ChannelType.GuildText))
+      .addStringOption((o) => o.setName('time').setDescription(`오늘의 일정 게시 시각 KST, HH:MM (기본 ${FEED_DEFAULT_TIME})`)))
+    .addSubcommand((s) => s.setName('unsubscribe').setDescription('받기 해제 (기본: 전체)')
+      .addStringOption((o) => o.setName('kind').setDescription('해제할 종류')
+        .addChoices(...Object.entries(FEED_KINDS).map(([value, name]) => ({ name, value }))))),
+
+  new SlashCommandBuilder().setName('roles-config')
+    .setDescription('아이템 레벨 구간 / 서포터·딜러 역할 자동 부여 설정')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+    .addSubcommand((s) => s.setName('level').setDescription('아이템 레벨 구간 역할 지정 (가장 높은 구간 하나만 부여)')
+      .addNumberOption((o) => o.setName('min-level').setDescription('이 레벨 이상 (예: 1660)').setRequired(true))
+      .addRoleOption((o) => o.setName('role').setDescription('부여할 역할').setRequired(true)))
+    .addSubcommand((s) => s.setName('class').setDescription('서포터 / 딜러 역할 지정 (최고 레벨 캐릭터 기준)')
+      .addStringOption((o) => o.setName('category').setDescription('분류').setRequired(true)
+        .addChoices({ name: '서포터', value: 'support' }, { name: '딜러', value: 'dealer' }))
+      .addRoleOption((o) => o.setName('role').setDescription('부여할 역할').setRequired(true)))
+    .addSubcommand((s) => s.setName('remove').setDescription('역할을 자동 관리 대상에서 제외')
+      .addRoleOption((o) => o.setName('role').setDescription('제외할 역할').setRequired(true)))
+    .addSubcommand((s) => s.setName('preview').setDescription('현재 설정과 다음 갱신 때 적용될 변경 미리보기')),
+
+  new SlashCommandBuilder().setName('nickname-optout')
+    .setDescription('내 닉네임 자동 동기화 제외/재참여')
+    .addBooleanOption((o) => o.setName('optout').setDescription('true = 동기화 제외, false = 다시 참여').setRequired(true)),
+
+  new SlashCommandBuilder().setName('homework')
+    .setDescription('주간 레이드 숙제 (매주 수요일 06:00 초기화)')
+    .addSubcommand((s) => s.setName('list').setDescription('내 캐릭터별 숙제 체크리스트'))
+    .addSubcommand((s) => s.setName('summary').setDescription('길드 전체 남은 숙제 현황')),
+
+  new SlashCommandBuilder().setName('raid')
+    .setDescription('레이드 파티 모집')
+    .addSubcommand((s) => s.setName('create').setDescription('레이드 모집 글 작성')
+      .addStringOption((o) => o.setName('raid').setDescription('레이드').setRequired(true)
+        .addChoices(...RAIDS.map((r) => ({ name: r.name, value: r.id }))))
+      .addStringOption((o) => o.setName('difficulty').setDescription('난이도').setRequired(true)
+        .addChoices({ name: '노말', value: 'normal' }, { name: '하드', value: 'hard' }))
+      .addStringOption((o) => o.setName('time').setRequired(true)
+        .setDescription('시작 시각 (KST) 예: 2026-10-21 20:00 / 10/21 20:00 / 20:00'))
+      .addNumberOption((o) => o.setName('min-level').setDescription('최소 아이템 레벨 (기본: 난이도 입장 레벨)'))
+      .addIntegerOption((o) => o.setName('size').setDescription('인원 (기본: 8)')
+        .addChoices({ name: '4인', value: 4 }, { name: '8인', value: 8 }, { name: '16인', value: 16 }))),
+
+  new SlashCommandBuilder().setName('progress')
+    .setDescription('캐릭터의 아이템 레벨/전투력 성장 기록')
+    .addStringOption((o) => o.setName('character').setDescription('캐릭터명 (기본: 내 대표 캐릭터)')
+      .setAutocomplete(true))
+    .addStringOption((o) => o.setName('period').setDescription('기간 (기본: 1주)')
+      .addChoices(
+        { name: '1주', value: '7' },
+        { name: '1개월', value: '30' },
+        { name: '3개월', value: '90' },
+      )),
 ];
 
+// 전역 등록 (모든 길드 공통, DM 에서는 사용 불가)
 async function registerCommands() {
   const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
   await rest.put(
-    Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
-    { body: slashCommands.map((c) => c.toJSON()) },
+    Routes.applicationCommands(process.env.CLIENT_ID),
+    { body: slashCommands.map((c) => c.setContexts(InteractionContextType.Guild).toJSON()) },
   );
-  console.log('🪄 Slash commands registered');
+  // 예전 길드 전용 등록이 남아 있으면 명령어가 중복으로 보이므로 정리
+  if (process.env.GUILD_ID) {
+    await rest.put(
+      Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
+      { body: [] },
+    ).catch((e) => console.error('clear guild commands error:', e?.rawError ?? e));
+  }
+  console.log('🪄 Slash commands registered (global)');
 }
 
 // ----- 로그인 with 재시도 -----
@@ -186,88 +549,312 @@ async function loginWithRetry(maxTries = 5) {
 // ===================== ready =====================
 client.once('ready', async () => {
   console.log(`✅ Logged in as ${client.user.tag}`);
+  runtime.readyAt = Date.now();
+  try {
+    adoptLegacyLinks();
+    markMissingGuilds();
+    purgeOrphanedGuilds();
+  } catch (e) {
+    console.error('orphan check error:', e);
+  }
   try {
     await registerCommands();
   } catch (e) {
     console.error('registerCommands error:', e?.rawError ?? e);
   }
 
+  for (const guildId of client.guilds.cache.keys()) {
+    try {
+      await discoverBoards(guildId);
+    } catch (e) {
+      console.error('discoverBoards error:', guildId, e?.rawError ?? e);
+    }
+  }
+
+  startAutoRefresh();
+  startRaidScheduler();
+  startFeedScheduler();
+  startMarketScheduler();
+});
+
+// ===================== 길드 참가 / 퇴장 =====================
+client.on('guildCreate', async (guild) => {
+  console.log(`➕ joined guild ${guild.name} (${guild.id})`);
   try {
-    await discoverBoards();
+    restoreOrphaned(guild.id);
+    await discoverBoards(guild.id);
   } catch (e) {
-    console.error('discoverBoards error:', e?.rawError ?? e);
+    console.error('guildCreate error:', guild.id, e?.rawError ?? e);
   }
+});
 
-  startAutoRefresh();
+client.on('guildDelete', (guild) => {
+  // 장애로 일시적으로 사용 불가한 길드는 퇴장이 아님
+  if (guild.available === false) return;
+  console.log(`➖ left guild ${guild.name ?? ''} (${guild.id})`);
+  membersLoaded.delete(guild.id);
+  try {
+    markOrphaned(guild.id);
+  } catch {} // persist 가 이미 로그를 남김, 다음 시작 때 markMissingGuilds 가 다시 표시
 });
 
-// ===================== interaction 처리 =====================
-client.on('interactionCreate', async (i) => {
-  // ===== 캐릭터 상세 드롭다운 =====
-  if (i.isStringSelectMenu() && i.customId.startsWith('char-detail:')) {
-    const ownerId = i.customId.split(':')[1];
-    const selectedName = i.values[0];
+// 퇴장한 길드 데이터는 바로 지우지 않고 orphanedAt 만 기록 (실수로 내보냈다 다시 초대해도 그대로)
+// 갱신 / 닉네임 / 역할 동기화는 건너뛰고, ORPHAN_RETENTION_MS 가 지나면 purgeGuildData
+const isOrphaned = (guildId) => guildSettings[guildId]?.orphanedAt != null;
 
+function markOrphaned(guildId, now = Date.now()) {
+  if (isOrphaned(guildId)) return;
+  guildSettings[guildId] = { ...guildSettings[guildId], orphanedAt: now };
+  persist('guilds', guildSettings);
+  console.log('[ORPHAN] marked', guildId);
+}
 
+function restoreOrphaned(guildId) {
+  if (!isOrphaned(guildId)) return;
+  delete guildSettings[guildId].orphanedAt;
+  persist('guilds', guildSettings);
+  console.log('[ORPHAN] restored', guildId);
+}
 
-    try {
-      const profile = await getProfile(selectedName, { force: true });
-      const ark     = await getArkPassive(selectedName, { force: true });
+function purgeGuildData(guildId) {
+  boards = boards.filter((b) => b.guildId !== guildId);
+  boardsSet = new Set(boards.map((b) => boardsKey(b.channelId, b.messageId)));
+  persist('boards', boards);
 
-      const p = profile?.ArmoryProfile || profile;
+  delete links[guildId];
+  persist('links', links);
 
-      const itemLevel = p?.ItemAvgLevel || '알 수 없음';
+  delete guildSettings[guildId];
+  persist('guilds', guildSettings);
 
-      // 전투력
-      let combatPowerText = '정보 없음';
-      if (p?.CombatPower != null) {
-        const raw  = String(p.CombatPower).replace(/,/g, '');
-        const cpNum = Number(raw);
-        combatPowerText = Number.isFinite(cpNum)
-          ? cpNum.toLocaleString('ko-KR')
-          : String(p.CombatPower);
-      }
+  delete homework[guildId];
+  persist('homework', homework);
 
-      const cls    = p?.CharacterClassName || '직업 정보 없음';
-      const server = p?.ServerName || '서버 정보 없음';
-      const img    = p?.CharacterImage || null;
+  raidParties = raidParties.filter((p) => p.guildId !== guildId);
+  persist('raids', raidParties);
 
-      // 아크 패시브 (포인트만)
-      let arkPassiveText = '등록된 아크 패시브가 없습니다.';
-      try {
-        console.log('[ArkPassive raw detail]', JSON.stringify(ark));
-        arkPassiveText = formatArkPassive(ark, { maxPoints: 5 });
-      } catch (e2) {
-        console.error('ark passive detail error:', e2?.response?.data || e2);
-      }
+  delete rosterSnapshots[guildId];
+  persist('rosters', rosterSnapshots);
 
-      const detailEmbed = new EmbedBuilder()
-        .setTitle(`🔍 ${selectedName} 상세 정보`)
-        .setDescription(`${server} 서버 • ${cls}`)
-        .addFields(
-          { name: '아이템 레벨', value: String(itemLevel),   inline: true },
-          { name: '전투력',      value: combatPowerText,     inline: true },
-          { name: '아크 패시브', value: arkPassiveText || '정보 없음' },
-        )
-        .setColor(0x3498db);
-
-      if (img) {
-        // 상세 보기에서는 아래에 크게
-        detailEmbed.setImage(img);
-      }
+  delete feeds.subscriptions[guildId];
+  persist('feeds', feeds);
+
+  market.watches = market.watches.filter((w) => w.guildId !== guildId);
+  persist('market', market);
+}
+
+// 마이그레이션 v1 이 길드를 몰라 LEGACY_GUILD_KEY 에 둔 예전 링크 → GUILD_ID 또는 유일한 길드로
+function adoptLegacyLinks() {
+  const legacy = links[LEGACY_GUILD_KEY];
+  if (!legacy) return;
+  const guildIds = [...client.guilds.cache.keys()];
+  const target = process.env.GUILD_ID && guildIds.includes(process.env.GUILD_ID)
+    ? process.env.GUILD_ID
+    : guildIds.length === 1 ? guildIds[0] : null;
+  if (!target) {
+    console.warn(`⚠️ 예전 링크 ${Object.keys(legacy).length}건을 옮길 길드를 정할 수 없습니다 (길드 ${guildIds.length}개). GUILD_ID 를 설정해 주세요.`);
+    return;
+  }
+  // 이미 새 형식으로 등록한 유저는 그대로 두고 나머지만 옮김
+  links[target] = { ...legacy, ...links[target] };
+  delete links[LEGACY_GUILD_KEY];
+  persist('links', links);
+  console.log('[LEGACY] links moved to', target, Object.keys(legacy).length);
+}
+
+// 시작 시: 꺼져 있는 동안 빠지거나 다시 들어온 길드 반영 (캐시에는 장애 중인 길드도 들어 있음)
+function markMissingGuilds() {
+  const known = new Set([
+    ...boards.map((b) => b.guildId),
+    ...Object.keys(links),
+    ...Object.keys(guildSettings),
+    ...Object.keys(homework),
+    ...raidParties.map((p) => p.guildId),
+    ...Object.keys(rosterSnapshots),
+    ...Object.keys(feeds.subscriptions),
+    ...market.watches.map((w) => w.guildId),
+  ]);
+  for (const guildId of known) {
+    if (!guildId || guildId === LEGACY_GUILD_KEY) continue;
+    if (client.guilds.cache.has(guildId)) restoreOrphaned(guildId);
+    else markOrphaned(guildId);
+  }
+}
+
+function purgeOrphanedGuilds(now = Date.now()) {
+  for (const [guildId, settings] of Object.entries(guildSettings)) {
+    if (settings?.orphanedAt == null || now - settings.orphanedAt < ORPHAN_RETENTION_MS) continue;
+    if (client.guilds.cache.has(guildId)) continue;
+    purgeGuildData(guildId);
+    console.log('[ORPHAN] purged', guildId);
+  }
+}
+
+// ===================== interaction 처리 =====================
+// 핸들러에서 놓친 오류(주로 저장 실패)도 사용자에게는 답을 줌
+client.on('interactionCreate', async (i) => {
+  try {
+    await handleInteraction(i);
+  } catch (e) {
+    console.error('interaction error:', i.customId ?? i.commandName, e?.rawError ?? e);
+    if (!i.isRepliable()) return;
+    const content = e instanceof StorageError ? '❌ 저장에 실패했습니다.' : '❌ 처리 중 오류가 발생했습니다.';
+    await (i.deferred || i.replied
+      ? i.followUp({ content, flags: EPHEMERAL })
+      : i.reply({ content, flags: EPHEMERAL })
+    ).catch(() => {});
+  }
+});
 
-      // 선택한 유저의 메인 뷰 다시 생성 (현재 대표 main 기준)
-      const ownerLink = links[ownerId];
-      const main = ownerLink?.main || selectedName;
-      const view = await buildPersonalView(ownerId, main, i.channelId);
+async function handleInteraction(i) {
+  // ===== 캐릭터 이름 자동완성 =====
+  if (i.isAutocomplete()) {
+    try {
+      await handleAutocomplete(i);
+    } catch (e) {
+      console.error('autocomplete error:', e?.rawError ?? e);
+    }
+    return;
+  }
+
+  // ===== 캐릭터 상세 드롭다운 / 상세 탭 선택 =====
+  if (
+    i.isStringSelectMenu()
+    && (i.customId.startsWith('char-detail:') || i.customId.startsWith('char-tab:'))
+  ) {
+    // char-detail:{ownerId} → values[0] = 캐릭터명, 요약 탭
+    // char-tab:{ownerId}:{캐릭터명} → values[0] = 탭
+    // 상세는 누른 사람에게만 보이는 응답으로 (공용 고정 메시지는 그대로 둠)
+    const [kind, ownerId, ...rest] = i.customId.split(':');
+    const selectedName = kind === 'char-detail' ? i.values[0] : rest.join(':');
+    const tab = kind === 'char-detail' ? 'summary' : i.values[0];
+    // 탭 선택 줄은 상세 응답에만 있으므로 그 자리에서 교체
+    const inPlace = kind === 'char-tab';
 
-      await i.update({
-        embeds: [...view.embeds, detailEmbed],
-        components: view.components,
+    try {
+      if (inPlace) await i.deferUpdate();
+      else await i.deferReply({ flags: EPHEMERAL });
+      const detailEmbed = await buildCharacterDetailEmbed(selectedName, tab);
+      await i.editReply({
+        embeds: [detailEmbed],
+        components: [buildDetailTabRow(`char-tab:${ownerId}:${selectedName}`, selectedName, tab)],
       });
     } catch (e) {
       console.error('char-detail error:', e?.response?.data || e);
-      await i.reply({ content: '❌ 캐릭터 상세 정보를 불러오지 못했습니다.', ephemeral: true });
+      const fail = { content: '❌ 캐릭터 상세 정보를 불러오지 못했습니다.', flags: EPHEMERAL };
+      await (i.deferred || i.replied ? i.followUp(fail) : i.reply(fail)).catch(() => {});
+    }
+    return;
+  }
+
+  // ===== /lookup 캐릭터 / 상세 탭 선택 =====
+  if (
+    i.isStringSelectMenu()
+    && (i.customId.startsWith('lookup-char:') || i.customId.startsWith('lookup-tab:'))
+  ) {
+    // lookup-char:{ownerId}:{원정대 기준 캐릭터} → values[0] = 캐릭터명
+    // lookup-tab:{ownerId}:{원정대 기준 캐릭터}:{캐릭터명} → values[0] = 탭
+    // 조회한 사람만 그 자리에서 바꾸고, 다른 사람은 본인에게만 보이는 응답으로 (public 조회 메시지는 그대로 둠)
+    const [kind, ownerId, root, selected] = i.customId.split(':');
+    const name = kind === 'lookup-char' ? i.values[0] : selected;
+    const tab = kind === 'lookup-char' ? 'summary' : i.values[0];
+    try {
+      if (ownerId === i.user.id) await i.deferUpdate();
+      else await i.deferReply({ flags: EPHEMERAL });
+      const view = await buildLookupView(i.user.id, root, name, tab);
+      await i.editReply(view ?? { content: '❌ 캐릭터를 찾지 못했어요.', embeds: [], components: [] });
+    } catch (e) {
+      console.error('lookup select error:', e?.response?.data || e);
+      const fail = { content: '❌ 캐릭터 상세 정보를 불러오지 못했습니다.', flags: EPHEMERAL };
+      await (i.deferred || i.replied ? i.followUp(fail) : i.reply(fail)).catch(() => {});
+    }
+    return;
+  }
+
+  // ===== 로스터 해제 선택 (/unlink) =====
+  if (i.isStringSelectMenu() && i.customId.startsWith('unlink-roster:')) {
+    const ownerId = i.customId.split(':')[1];
+    if (ownerId !== i.user.id) {
+      return i.reply({ content: '🙅 본인의 로스터만 해제할 수 있습니다.', flags: EPHEMERAL });
+    }
+    const cur = getLink(i.guildId, ownerId);
+    const target = i.values[0];
+    if (!findRoster(cur, target)) {
+      return i.update({ content: 'ℹ️ 이미 해제된 로스터입니다.', components: [] });
+    }
+    await i.deferUpdate();
+    const unpinned = await unlinkRoster(cur, target);
+    return i.editReply({ content: unlinkedText(target, cur, unpinned), components: [] });
+  }
+
+  // ===== 보드 페이지 이동 =====
+  // 공유 보드는 항상 1페이지, 넘긴 페이지는 누른 사람에게만 (ephemeral) 보여줌
+  // customId: 공유 보드는 board-page:{page}, ephemeral 페이지는 board-page:{보드 messageId}:{page}
+  if (i.isButton() && i.customId.startsWith('board-page:')) {
+    const parts = i.customId.split(':');
+    const [boardMessageId, pageStr] = parts.length > 2 ? [parts[1], parts[2]] : [i.message.id, parts[1]];
+    const board = boards.find((b) => b.channelId === i.channelId && b.messageId === boardMessageId);
+    if (!board) {
+      return i.reply({ content: 'ℹ️ 더 이상 관리되지 않는 보드입니다.', flags: EPHEMERAL });
+    }
+    const onBoard = i.message.id === board.messageId;
+    try {
+      if (onBoard) await i.deferReply({ flags: EPHEMERAL });
+      else await i.deferUpdate();
+      const page = Math.max(0, Number(pageStr) || 0);
+      await i.editReply(await buildBoardPayload(board, await fetchRosters(board.guildId), { page, ephemeral: true }));
+    } catch (e) {
+      console.error('board-page error:', e?.response?.data || e);
+      await i.editReply({ content: '❌ 페이지를 불러오지 못했습니다.', embeds: [], components: [] }).catch(() => {});
+    }
+    return;
+  }
+
+  // ===== 숙제 체크 버튼 =====
+  if (i.isButton() && i.customId.startsWith('hw:')) {
+    const [, ownerId, raidId, ...rest] = i.customId.split(':');
+    const charName = rest.join(':');
+    if (ownerId !== i.user.id) {
+      return i.reply({ content: '🙅 본인의 숙제만 체크할 수 있습니다.', flags: EPHEMERAL });
+    }
+    await i.deferUpdate();
+    let toggled = false;
+    try {
+      const info = getLink(i.guildId, ownerId);
+      // 개인 고정 메시지면 그 메시지의 main 기준으로, 아니면 숙제 전용 뷰로 다시 그림
+      const pinned = info?.personals?.find((p) => p.messageId === i.message.id);
+      const main = pinned?.main || (await rosterMainOf(i.guildId, ownerId, charName));
+      if (!main) {
+        return i.followUp({ content: '먼저 `/link [캐릭터명]` 으로 연결해주세요.', flags: EPHEMERAL });
+      }
+      toggled = true;
+      const done = toggleHomework(i.guildId, ownerId, charName, raidId);
+      const view = pinned
+        ? await buildPersonalView(ownerId, main, i.channelId)
+        : await buildHomeworkView(i.guildId, ownerId, main);
+      await i.editReply(view);
+      console.log('[HOMEWORK]', i.guildId, ownerId, charName, raidId, done ? 'done' : 'undone');
+    } catch (e) {
+      console.error('homework toggle error:', e?.response?.data || e);
+      // 화면을 못 바꿨으면 체크도 되돌림 (화면과 저장 상태가 어긋나지 않도록)
+      if (toggled) {
+        try {
+          toggleHomework(i.guildId, ownerId, charName, raidId);
+        } catch {} // persist 가 이미 로그를 남김
+      }
+      await i.followUp({ content: '❌ 숙제 체크에 실패했습니다.', flags: EPHEMERAL }).catch(() => {});
+    }
+    return;
+  }
+
+  // ===== 레이드 모집 버튼 / 캐릭터 선택 =====
+  if ((i.isButton() || i.isStringSelectMenu()) && i.customId.startsWith('raid-')) {
+    try {
+      await handleRaidInteraction(i);
+    } catch (e) {
+      console.error('raid interaction error:', e?.response?.data || e?.rawError || e);
+      const payload = { content: '❌ 레이드 모집 처리 중 오류가 발생했습니다.', flags: EPHEMERAL };
+      await (i.replied || i.deferred ? i.followUp(payload) : i.reply(payload)).catch(() => {});
     }
     return;
   }
@@ -275,29 +862,138 @@ client.on('interactionCreate', async (i) => {
   // ===== 슬래시 커맨드 =====
   if (!i.isChatInputCommand()) return;
 
+  // 관리자 명령: 명령별 서버 권한 또는 /config 관리자 역할 + 서버 단위 쿨다운
+  if (Object.hasOwn(ADMIN_COMMANDS, i.commandName)) {
+    if (!isGuildAdmin(i, ADMIN_COMMANDS[i.commandName])) {
+      return i.reply({ content: '🚫 이 명령에 필요한 서버 권한 또는 관리자 역할이 필요합니다.', flags: EPHEMERAL });
+    }
+    const seconds = guildConfig(guildSettings[i.guildId]).cooldowns[i.commandName];
+    const left = cooldowns.take(`${i.guildId}:${i.commandName}`, seconds);
+    if (left) {
+      return i.reply({
+        content: `⏳ \`/${i.commandName}\` 은(는) ${Math.ceil(left / 1000)}초 뒤에 다시 사용할 수 있습니다.`,
+        flags: EPHEMERAL,
+      });
+    }
+  }
+
+  // /config show | refresh-interval | scan-limit | board-title | admin-role | cooldown
+  if (i.commandName === 'config') {
+    const sub = i.options.getSubcommand();
+    if (sub === 'show') {
+      return i.reply({ embeds: [buildConfigEmbed(i.guildId)], flags: EPHEMERAL });
+    }
+    // 관리자 역할만으로 관리자 역할 목록을 바꾸지 못하게
+    if (['admin-role', 'web-roster'].includes(sub) && !i.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return i.reply({ content: '🚫 관리자 역할 / 웹 로스터 변경은 서버 관리 권한이 필요합니다.', flags: EPHEMERAL });
+    }
+
+    const cur = (guildSettings[i.guildId] ??= {});
+    let error = null;
+    if (sub === 'refresh-interval') {
+      const minutes = i.options.getInteger('minutes', true);
+      error = validateConfigValue('refreshMinutes', minutes);
+      if (!error) cur.refreshMinutes = minutes;
+    }
+    if (sub === 'scan-limit') {
+      const count = i.options.getInteger('count', true);
+      error = validateConfigValue('scanLimit', count);
+      if (!error) cur.scanLimit = count;
+    }
+    if (sub === 'board-title') {
+      const title = i.options.getString('title')?.trim() || null;
+      error = title ? validateConfigValue('boardTitle', title) : null;
+      if (!error && title) cur.boardTitle = title;
+      else if (!error) delete cur.boardTitle;
+    }
+    if (sub === 'admin-role') {
+      const role = i.options.getRole('role', true);
+      const ids = (cur.adminRoleIds || []).filter((id) => id !== role.id);
+      if (i.options.getString('action', true) === 'add') ids.push(role.id);
+      cur.adminRoleIds = ids;
+    }
+    if (sub === 'verify-guild') {
+      const name = i.options.getString('name')?.trim() || null;
+      error = name ? validateConfigValue('verifyGuildName', name) : null;
+      if (!error && name) cur.verifyGuildName = name;
+      else if (!error) delete cur.verifyGuildName;
+    }
+    if (sub === 'cooldown') {
+      const seconds = i.options.getInteger('seconds', true);
+      error = validateConfigValue('cooldown', seconds);
+      if (!error) cur.cooldowns = { ...cur.cooldowns, [i.options.getString('command', true)]: seconds };
+    }
+    if (error) return i.reply({ content: `❌ ${error}`, flags: EPHEMERAL });
+
+    // 켤 때마다 새 토큰 (이전 링크는 무효)
+    if (sub === 'web-roster') {
+      if (!i.options.getBoolean('enabled', true)) {
+        delete cur.webToken;
+        persist('guilds', guildSettings);
+        return i.reply({ content: '🔒 웹 로스터를 껐습니다. 기존 링크는 더 이상 열리지 않습니다.', flags: EPHEMERAL });
+      }
+      cur.webToken = crypto.randomBytes(18).toString('base64url');
+      persist('guilds', guildSettings);
+      const query = `guild=${i.guildId}&token=${cur.webToken}`;
+      return i.reply({
+        content:
+          '🌐 웹 로스터를 켰습니다. 아래 링크를 아는 사람은 누구나 이 서버의 로스터를 볼 수 있습니다.\n' +
+          `• HTML: ${PUBLIC_URL}/roster?${query}\n• JSON: ${PUBLIC_URL}/api/roster?${query}`,
+        flags: EPHEMERAL,
+      });
+    }
+
+    persist('guilds', guildSettings);
+    const overrideNote = sub === 'admin-role'
+      ? '\nℹ️ 관리자 명령은 기본적으로 서버 관리 권한이 있어야 보입니다. 이 역할에 보이게 하려면 서버 설정 → 연동 → 봇에서 명령 권한을 허용해 주세요.'
+      : '';
+    await i.reply({
+      content: `✅ 설정을 저장했습니다. (보드 제목·갱신 간격은 다음 자동 갱신부터 적용)${overrideNote}`,
+      embeds: [buildConfigEmbed(i.guildId)],
+      flags: EPHEMERAL,
+    });
+  }
+
   // /link
   if (i.commandName === 'link') {
     const name = i.options.getString('name', true).trim();
+    // 토큰 버킷 대기 / 재시도로 3초를 넘길 수 있으므로 먼저 응답 예약
+    await i.deferReply({ flags: EPHEMERAL });
     try {
       const sib = await getSiblings(name, { force: true });
       if (!Array.isArray(sib) || sib.length === 0) {
-        return i.reply({ content: `❌ **${name}** 캐릭터를 찾지 못했어요.`, flags: EPHEMERAL });
+        return i.editReply(`❌ **${name}** 캐릭터를 찾지 못했어요.`);
       }
 
-      const cur = links[i.user.id] || {};
-      // main 을 항상 "마지막으로 link한 캐릭" 으로 유지
+      // 같은 로스터를 이미 인증한 다른 유저가 있으면 거절, 미인증 등록만 있으면 경고
+      const rosterNames = sib.map((c) => c.CharacterName);
+      const claims = findRosterClaims(guildLinks(i.guildId), rosterNames, i.user.id);
+      const owner = claims.find((c) => c.verified);
+      if (owner) {
+        return i.editReply(`❌ 이 로스터는 이미 <@${owner.userId}> 님이 인증 등록했습니다.`);
+      }
+
+      const cur = getLink(i.guildId, i.user.id) || {};
+      const rosters = [...linkRosters(cur)];
+      // 이미 등록한 로스터면 대표만 교체(인증 유지), 아니면 새 로스터로 추가
+      let roster = rosters.find((r) => rosterNames.includes(r.main));
+      if (!roster && rosters.length >= MAX_ROSTERS_PER_USER) {
+        return i.editReply(`❌ 로스터는 최대 ${MAX_ROSTERS_PER_USER}개까지 등록할 수 있습니다. \`/unlink\` 로 정리해 주세요.`);
+      }
+      const prevMain = roster?.main;
+      if (roster) roster.main = name;
+      else rosters.push((roster = { main: name, verified: false }));
+
+      // 첫 로스터이거나 주 로스터의 대표를 바꾼 경우, 또는 primary 옵션이면 주 로스터
+      const makePrimary = i.options.getBoolean('primary') || !cur.main || cur.main === prevMain;
       const me = {
         ...cur,
-        main: name,
+        main: makePrimary ? name : cur.main,
+        rosters,
         personals: Array.isArray(cur.personals) ? cur.personals : [],
       };
-      // 예전 single personal 필드가 있다면 한 번만 array로 옮기기
-      if (cur.personal && !me.personals.length) {
-        me.personals.push({ ...cur.personal, main: cur.main || name });
-        delete me.personal;
-      }
-      links[i.user.id] = me;
-      saveJSON(LINKS_PATH, links);
+      guildLinks(i.guildId)[i.user.id] = me;
+      persist('links', links);
 
       // 1) 본인 미리보기(에페메랄)
       await replyMyChars(i, name, false);
@@ -313,34 +1009,102 @@ client.on('interactionCreate', async (i) => {
         }).catch(() => {});
       }
 
-      if (!i.replied && !i.deferred) {
-        await i.reply({ content: '✅ 대표 캐릭터가 등록되었습니다.', flags: EPHEMERAL });
+      // 3) 닉네임 동기화 (템플릿이 설정된 길드만)
+      try {
+        await syncMemberNickname(i.guildId, i.user.id);
+      } catch (e3) {
+        console.error('nickname sync after link error:', e3?.rawError ?? e3);
+      }
+
+      // 4) 인증 (인게임 길드면 바로, 아니면 코드 안내)
+      try {
+        const result = await verifyLink(i.guildId, i.user.id, name);
+        const warn = claims.length
+          ? '\n⚠️ 같은 로스터를 등록한 다른 유저가 있습니다. 먼저 인증한 쪽만 남습니다.'
+          : '';
+        await i.followUp({ content: verifyResultText(result) + warn, flags: EPHEMERAL });
+      } catch (e4) {
+        console.error('verify after link error:', e4?.response?.data || e4);
       }
     } catch (e) {
       console.error('link error:', e?.response?.data || e);
-      await i.reply({ content: '❌ Lost Ark API 호출 오류', flags: EPHEMERAL });
+      await i.editReply(e instanceof StorageError ? '❌ 저장에 실패했습니다.' : '❌ Lost Ark API 호출 오류');
+    }
+  }
+
+  // /link-verify
+  if (i.commandName === 'link-verify') {
+    await i.deferReply({ flags: EPHEMERAL });
+    try {
+      const name = i.options.getString('name')?.trim() || undefined;
+      await i.editReply(verifyResultText(await verifyLink(i.guildId, i.user.id, name)));
+    } catch (e) {
+      console.error('link-verify error:', e?.response?.data || e);
+      await i.editReply('❌ 프로필을 불러오지 못했습니다. 잠시 후 다시 시도해 주세요.');
     }
   }
 
-  // /unlink (여전히 "대표 main" 하나만 해제)
+  // /unlink [name] — 이름이 없고 로스터가 여러 개면 선택 메뉴
   if (i.commandName === 'unlink') {
-    if (links[i.user.id]?.main) {
-      const cur = links[i.user.id];
-      delete cur.main;
-      links[i.user.id] = cur;
-      saveJSON(LINKS_PATH, links);
-      await i.reply({ content: '🔓 연결 해제되었습니다.', flags: EPHEMERAL });
-    } else {
-      await i.reply({ content: '연결된 대표 캐릭터가 없습니다.', flags: EPHEMERAL });
+    const cur = getLink(i.guildId, i.user.id);
+    const rosters = linkRosters(cur);
+    const name = i.options.getString('name')?.trim();
+    if (!rosters.length) {
+      return i.reply({ content: '연결된 로스터가 없습니다.', flags: EPHEMERAL });
+    }
+    if (!name && rosters.length > 1) {
+      const select = new StringSelectMenuBuilder()
+        .setCustomId(`unlink-roster:${i.user.id}`)
+        .setPlaceholder('해제할 로스터 선택')
+        .addOptions(rosters.map((r) => ({
+          label: r.main,
+          value: r.main,
+          ...(r.main === cur.main ? { description: '주 로스터' } : {}),
+        })));
+      return i.reply({
+        content: '해제할 로스터를 선택하세요.',
+        components: [new ActionRowBuilder().addComponents(select)],
+        flags: EPHEMERAL,
+      });
+    }
+    const target = name || rosters[0].main;
+    if (!findRoster(cur, target)) {
+      return i.reply({ content: `❌ **${target}** 로스터는 연결되어 있지 않습니다.`, flags: EPHEMERAL });
+    }
+    await i.deferReply({ flags: EPHEMERAL });
+    const unpinned = await unlinkRoster(cur, target);
+    await i.editReply(unlinkedText(target, cur, unpinned));
+  }
+
+  // /roster-primary
+  if (i.commandName === 'roster-primary') {
+    const cur = getLink(i.guildId, i.user.id);
+    const name = i.options.getString('name', true).trim();
+    const roster = findRoster(cur, name);
+    if (!roster) {
+      const list = linkRosters(cur).map((r) => `**${r.main}**`).join(', ') || '없음';
+      return i.reply({ content: `❌ **${name}** 로스터가 없습니다. 연결된 로스터: ${list}`, flags: EPHEMERAL });
+    }
+    cur.main = roster.main;
+    persist('links', links);
+    try {
+      await syncMemberNickname(i.guildId, i.user.id);
+    } catch (e) {
+      console.error('nickname sync after roster-primary error:', e?.rawError ?? e);
     }
+    await i.reply({ content: `⭐ 주 로스터를 **${roster.main}** 로 바꿨습니다.`, flags: EPHEMERAL });
   }
 
-  // /mychars
+  // /mychars [roster]
   if (i.commandName === 'mychars') {
-    const main = links[i.user.id]?.main;
-    if (!main) {
+    const link = getLink(i.guildId, i.user.id);
+    if (!link?.main) {
       return i.reply({ content: '먼저 `/link [캐릭터명]` 으로 연결해주세요.', flags: EPHEMERAL });
     }
+    const main = i.options.getString('roster')?.trim() || link.main;
+    if (!findRoster(link, main)) {
+      return i.reply({ content: `❌ **${main}** 로스터는 연결되어 있지 않습니다.`, flags: EPHEMERAL });
+    }
     try {
       const isPublic = i.options.getBoolean('public') || false;
       await replyMyChars(i, main, isPublic);
@@ -350,15 +1114,20 @@ client.on('interactionCreate', async (i) => {
     }
   }
 
-  // /mychars-pin  → 현재 main 기준으로 "그 main 전용" 고정 생성/갱신
+  // /mychars-pin  → 로스터(main)마다 "그 main 전용" 고정 생성/갱신
   if (i.commandName === 'mychars-pin') {
-    const me = links[i.user.id];
+    const me = getLink(i.guildId, i.user.id);
     if (!me?.main) {
       return i.reply({ content: '먼저 `/link [캐릭터명]` 으로 연결해주세요.', flags: EPHEMERAL });
     }
+    const pick = i.options.getString('roster')?.trim();
+    if (pick && !findRoster(me, pick)) {
+      return i.reply({ content: `❌ **${pick}** 로스터는 연결되어 있지 않습니다.`, flags: EPHEMERAL });
+    }
+    const targets = i.options.getBoolean('all') ? linkRosters(me).map((r) => r.main) : [pick || me.main];
     await i.deferReply({ flags: EPHEMERAL });
     try {
-      await ensurePersonalPinnedInChannel(i.channelId, i.user.id, me.main);
+      for (const main of targets) await ensurePersonalPinnedInChannel(i.channelId, i.user.id, main);
       // 성공 시 에페메랄 메시지 삭제 → 알림 안 보이게
       await i.deleteReply();
     } catch (e) {
@@ -367,400 +1136,2287 @@ client.on('interactionCreate', async (i) => {
     }
   }
 
-  // /board-enable
-  if (i.commandName === 'board-enable') {
-    await i.deferReply({ flags: EPHEMERAL });
-    try {
-      const msg = await ensureBoardInChannel(i.channelId);
-      addBoard(i.channelId, msg.id);
-      await i.editReply('📌 이 채널의 보드를 자동 갱신 대상으로 등록했습니다.');
-    } catch (e) {
-      console.error('board-enable error:', e?.rawError ?? e);
-      await i.editReply('❌ 보드 생성/등록에 실패했습니다.');
-    }
-  }
-
-  // /board-disable
-  if (i.commandName === 'board-disable') {
-    const before = boards.length;
-    boards = boards.filter((b) => b.channelId !== i.channelId);
-    boardsSet = new Set(boards.map((b) => boardsKey(b.channelId, b.messageId)));
-    saveJSON(BOARDS_PATH, boards);
-    await i.reply({
-      content:
-        before !== boards.length
-          ? '🧹 이 채널의 보드 관리를 해제했습니다.'
-          : 'ℹ️ 이 채널에는 등록된 보드가 없습니다.',
-      flags: EPHEMERAL,
+  // /mychars-unpin → 기록 정리 + 메시지 삭제 (이미 지워졌으면 기록만)
+  if (i.commandName === 'mychars-unpin') {
+    const me = getLink(i.guildId, i.user.id);
+    const pick = i.options.getString('roster')?.trim();
+    const all = i.options.getBoolean('all');
+    const targets = (me?.personals ?? []).filter((p) => {
+      if (all) return true;
+      if (pick) return personalMain(me, p) === pick;
+      return p.channelId === i.channelId;
     });
+    if (!targets.length) {
+      return i.reply({
+        content: pick ? `ℹ️ **${pick}** 로스터의 고정 메시지가 없습니다.` : 'ℹ️ 해제할 개인 고정 메시지가 없습니다.',
+        flags: EPHEMERAL,
+      });
+    }
+    await i.deferReply({ flags: EPHEMERAL });
+    await unpinPersonals(me, targets);
+    await i.editReply(`📌 개인 고정 메시지 ${targets.length}개를 해제했습니다.`);
   }
 
-  // /board-refresh
-  if (i.commandName === 'board-refresh') {
-    await i.deferReply({ flags: EPHEMERAL });
+  // /lookup
+  if (i.commandName === 'lookup') {
+    const name = i.options.getString('name', true).trim();
+    await i.deferReply(i.options.getBoolean('public') ? {} : { flags: EPHEMERAL });
     try {
-      await refreshAllBoards();
-      await refreshAllPersonalOnce();
-      await i.editReply('🔄 모든 보드를 즉시 갱신했습니다.');
+      const view = await buildLookupView(i.user.id, name);
+      await i.editReply(view ?? `❌ **${name}** 캐릭터를 찾지 못했어요.`);
     } catch (e) {
-      console.error('board-refresh error:', e);
-      await i.editReply('❌ 갱신 중 오류가 발생했습니다.');
+      console.error('lookup error:', e?.response?.data || e);
+      await i.editReply('❌ Lost Ark API 호출 오류');
     }
   }
 
-  // /board-scan
-  if (i.commandName === 'board-scan') {
-    await i.deferReply({ flags: EPHEMERAL });
+  // /compare
+  if (i.commandName === 'compare') {
+    const a = i.options.getString('a', true).trim();
+    const b = i.options.getString('b', true).trim();
+    await i.deferReply(i.options.getBoolean('public') ? {} : { flags: EPHEMERAL });
     try {
-      const found = await discoverBoards();
-      await i.editReply(`🔎 스캔 완료: ${found}개 보드를 관리 대상으로 등록했습니다.`);
+      const { embed, missing } = await buildCompareEmbed(a, b);
+      await i.editReply(embed
+        ? { embeds: [embed] }
+        : `❌ ${missing.map((n) => `**${n}**`).join(', ')} 캐릭터를 찾지 못했어요.`);
     } catch (e) {
-      console.error('board-scan error:', e);
-      await i.editReply('❌ 스캔 중 오류가 발생했습니다.');
+      console.error('compare error:', e?.response?.data || e);
+      await i.editReply('❌ Lost Ark API 호출 오류');
     }
   }
-});
 
-// ===================== 보드/개인 메시지 관리 =====================
-async function ensureBoardInChannel(channelId) {
-  const ch = await client.channels.fetch(channelId);
-  if (!ch || ch.type !== ChannelType.GuildText) {
-    throw new Error('이 명령은 텍스트 채널에서만 사용 가능합니다.');
-  }
+  // /market price | watch | unwatch | list
+  if (i.commandName === 'market') {
+    const sub = i.options.getSubcommand();
+    const mine = market.watches.filter((w) => w.guildId === i.guildId && w.userId === i.user.id);
+
+    if (sub === 'list') {
+      return i.reply({
+        content: mine.length
+          ? mine.map((w) => `• **${w.item}** ${formatGold(w.threshold)} ${WATCH_DIRECTIONS[w.direction]}${w.hit ? ' (🔔 기준 충족 중)' : ''}`).join('\n')
+          : 'ℹ️ 등록된 가격 알림이 없습니다. `/market watch` 로 추가하세요.',
+        flags: EPHEMERAL,
+      });
+    }
 
-  // 기존 등록 확인
-  for (const b of boards) {
-    if (b.channelId === channelId) {
-      const existing = await ch.messages.fetch(b.messageId).catch(() => null);
-      if (existing) return existing;
+    if (sub === 'unwatch') {
+      const item = i.options.getString('item', true).trim();
+      const left = market.watches.filter((w) => !(w.guildId === i.guildId && w.userId === i.user.id && w.item === item));
+      if (left.length === market.watches.length) {
+        return i.reply({ content: `❌ **${item}** 가격 알림이 없습니다.`, flags: EPHEMERAL });
+      }
+      market.watches = left;
+      persist('market', market);
+      return i.reply({ content: `🔕 **${item}** 가격 알림을 해제했습니다.`, flags: EPHEMERAL });
     }
-  }
 
-  // 채널 최근 메시지에서 우리 마커 재사용
-  const msgs = await ch.messages.fetch({ limit: SCAN_LIMIT_PER_CHANNEL }).catch(() => null);
-  if (msgs) {
-    const mine = [...msgs.values()].find(
-      (m) => m.author?.id === client.user.id && hasBoardMarker(m),
-    );
-    if (mine) return mine;
-  }
+    const item = i.options.getString('item', true).trim();
+    const category = i.options.getString('category') || 'honing';
 
-  // 새로 생성
-  const embed = await buildBoardEmbed();
+    if (sub === 'price') {
+      await i.deferReply(i.options.getBoolean('public') ? {} : { flags: EPHEMERAL });
+      try {
+        const quote = await getQuote(category, item);
+        if (!quote) return i.editReply(`❌ ${MARKET_CATEGORIES[category].name}에서 **${item}** 을(를) 찾지 못했어요. 정확한 아이템 이름으로 입력해 주세요.`);
+        recordPrice(category, quote);
+        await i.editReply({ embeds: [buildMarketEmbed(category, quote)] });
+      } catch (e) {
+        console.error('market price error:', e?.response?.data || e);
+        await i.editReply('❌ Lost Ark API 호출 오류');
+      }
+      return;
+    }
+
+    // watch
+    const threshold = i.options.getNumber('threshold', true);
+    const direction = i.options.getString('direction') || 'below';
+    await i.deferReply({ flags: EPHEMERAL });
+    try {
+      const quote = await getQuote(category, item);
+      if (!quote) return i.editReply(`❌ ${MARKET_CATEGORIES[category].name}에서 **${item}** 을(를) 찾지 못했어요. 정확한 아이템 이름으로 입력해 주세요.`);
+      recordPrice(category, quote);
+      // 같은 아이템이면 기준만 교체
+      const existing = mine.find((w) => watchKey(w.category, w.item) === watchKey(category, quote.name));
+      if (!existing && mine.length >= MARKET_MAX_WATCHES_PER_USER) {
+        return i.editReply(`❌ 가격 알림은 최대 ${MARKET_MAX_WATCHES_PER_USER}개까지 등록할 수 있어요. \`/market unwatch\` 로 정리하세요.`);
+      }
+      const watch = existing ?? {
+        id: crypto.randomUUID(), guildId: i.guildId, userId: i.user.id, category, item: quote.name,
+      };
+      Object.assign(watch, { channelId: i.channelId, threshold, direction });
+      // 이미 기준을 넘어 있으면 지금 알려 주고, 다시 넘어갈 때부터 알림
+      watch.hit = watchHit(watch, quote.price);
+      if (!existing) market.watches.push(watch);
+      persist('market', market);
+      await i.editReply(
+        `🔔 **${quote.name}** 최저가가 ${formatGold(threshold)} ${WATCH_DIRECTIONS[direction]} 알려 드릴게요. ` +
+        `(현재 ${formatGold(quote.price)}${watch.hit ? ' — 이미 기준 충족' : ''})`,
+      );
+    } catch (e) {
+      console.error('market watch error:', e?.response?.data || e);
+      await i.editReply('❌ Lost Ark API 호출 오류');
+    }
+  }
+
+  // /nickname-template
+  if (i.commandName === 'nickname-template') {
+    const template = i.options.getString('template')?.trim() || null;
+    const cur = guildSettings[i.guildId] || {};
+    if (template) cur.nicknameTemplate = template;
+    else delete cur.nicknameTemplate;
+    guildSettings[i.guildId] = cur;
+    persist('guilds', guildSettings);
+
+    if (!template) {
+      return i.reply({ content: '🔕 닉네임 자동 동기화를 껐습니다.', flags: EPHEMERAL });
+    }
+    const main = getLink(i.guildId, i.user.id)?.main;
+    const preview = main
+      ? await buildNickname(template, main).catch(() => null)
+      : null;
+    await i.reply({
+      content:
+        `✏️ 닉네임 템플릿을 \`${template}\` 로 설정했습니다. 다음 자동 갱신부터 적용됩니다.` +
+        (preview ? `\n미리보기: **${preview}**` : ''),
+      flags: EPHEMERAL,
+    });
+  }
+
+  // /announce-channel
+  if (i.commandName === 'announce-channel') {
+    const channel = i.options.getChannel('channel');
+    const cur = (guildSettings[i.guildId] ??= {});
+    if (channel) cur.announceChannelId = channel.id;
+    else delete cur.announceChannelId;
+    persist('guilds', guildSettings);
+    await i.reply({
+      content: channel
+        ? `📣 성장 알림을 <#${channel.id}> 에 올립니다. (처음 본 로스터는 기준값으로만 저장됩니다)`
+        : '🔕 성장 알림을 껐습니다.',
+      flags: EPHEMERAL,
+    });
+  }
+
+  // /announce-mute
+  if (i.commandName === 'announce-mute') {
+    const mute = i.options.getBoolean('mute', true);
+    const cur = getLink(i.guildId, i.user.id) || {};
+    if (mute) cur.announceMute = true;
+    else delete cur.announceMute;
+    guildLinks(i.guildId)[i.user.id] = cur;
+    persist('links', links);
+    await i.reply({
+      content: mute ? '🙊 내 캐릭터 성장 알림을 껐습니다.' : '📣 내 캐릭터 성장 알림을 다시 켰습니다.',
+      flags: EPHEMERAL,
+    });
+  }
+
+  // /feed subscribe | unsubscribe
+  if (i.commandName === 'feed') {
+    const sub = i.options.getSubcommand();
+    const kind = i.options.getString('kind');
+    const kinds = kind ? [kind] : Object.keys(FEED_KINDS);
+    const cur = feeds.subscriptions[i.guildId];
+
+    if (sub === 'unsubscribe') {
+      if (!cur) return i.reply({ content: 'ℹ️ 구독 중인 피드가 없습니다.', flags: EPHEMERAL });
+      cur.kinds = cur.kinds.filter((k) => !kinds.includes(k));
+      if (!cur.kinds.length) delete feeds.subscriptions[i.guildId];
+      persist('feeds', feeds);
+      return i.reply({
+        content: `🔕 ${kinds.map((k) => FEED_KINDS[k]).join(', ')} 구독을 해제했습니다.`,
+        flags: EPHEMERAL,
+      });
+    }
+
+    const time = i.options.getString('time')?.trim() || null;
+    if (time && parseHHMM(time) == null) {
+      return i.reply({ content: '❌ 시각은 `HH:MM` (예: 08:30) 형식으로 입력하세요.', flags: EPHEMERAL });
+    }
+    const channelId = i.options.getChannel('channel')?.id ?? i.channelId;
+    const next = cur ?? { kinds: [] };
+    next.channelId = channelId;
+    next.kinds = [...new Set([...next.kinds, ...kinds])];
+    next.calendarTime = time ?? next.calendarTime ?? FEED_DEFAULT_TIME;
+    feeds.subscriptions[i.guildId] = next;
+    persist('feeds', feeds);
+    await i.reply({
+      content:
+        `📰 <#${channelId}> 에 ${next.kinds.map((k) => FEED_KINDS[k]).join(', ')} 을(를) 올립니다.` +
+        (next.kinds.includes('calendar') ? ` (오늘의 일정: 매일 ${next.calendarTime} KST)` : ''),
+      flags: EPHEMERAL,
+    });
+  }
+
+  // /roles-config level | class | remove | preview
+  if (i.commandName === 'roles-config') {
+    const sub = i.options.getSubcommand();
+    const settings = (guildSettings[i.guildId] ??= {});
+    const config = (settings.roles ??= emptyRoleConfig());
+
+    if (sub === 'preview') {
+      await i.deferReply({ flags: EPHEMERAL });
+      try {
+        await i.editReply({ embeds: [await buildRolePreviewEmbed(i.guildId)] });
+      } catch (e) {
+        console.error('roles-config preview error:', e?.rawError ?? e);
+        await i.editReply('❌ 미리보기를 만들지 못했습니다.');
+      }
+      return;
+    }
+
+    const role = i.options.getRole('role', true);
+    if (sub === 'remove') {
+      config.levels = config.levels.filter((l) => l.roleId !== role.id);
+      for (const [k, id] of Object.entries(config.classes)) if (id === role.id) delete config.classes[k];
+      persist('guilds', guildSettings);
+      return i.reply({ content: `🧹 <@&${role.id}> 역할을 자동 관리에서 제외했습니다.`, flags: EPHEMERAL });
+    }
+
+    if (role.id === i.guildId || role.managed) {
+      return i.reply({ content: '❌ @everyone 이나 연동(봇) 역할은 지정할 수 없습니다.', flags: EPHEMERAL });
+    }
+    if (sub === 'level') {
+      const minLevel = i.options.getNumber('min-level', true);
+      // 같은 역할 / 같은 구간은 교체
+      config.levels = config.levels.filter((l) => l.roleId !== role.id && l.minLevel !== minLevel);
+      config.levels.push({ minLevel, roleId: role.id });
+      config.levels.sort((a, b) => a.minLevel - b.minLevel);
+    }
+    if (sub === 'class') {
+      config.classes[i.options.getString('category', true)] = role.id;
+    }
+    persist('guilds', guildSettings);
+
+    const guildRole = await i.guild.roles.fetch(role.id).catch(() => null);
+    const warn = guildRole?.editable
+      ? ''
+      : '\n⚠️ 봇의 역할이 이 역할보다 낮거나 역할 관리 권한이 없어 부여할 수 없습니다. 서버 설정에서 봇 역할을 위로 올려 주세요.';
+    await i.reply({
+      content: `✅ 설정했습니다. \`/roles-config preview\` 로 적용될 변경을 확인할 수 있습니다.${warn}`,
+      flags: EPHEMERAL,
+    });
+  }
+
+  // /nickname-optout
+  if (i.commandName === 'nickname-optout') {
+    const optOut = i.options.getBoolean('optout', true);
+    const cur = getLink(i.guildId, i.user.id) || {};
+    if (optOut) cur.nicknameOptOut = true;
+    else delete cur.nicknameOptOut;
+    guildLinks(i.guildId)[i.user.id] = cur;
+    persist('links', links);
+    await i.reply({
+      content: optOut
+        ? '🙅 닉네임 자동 동기화에서 제외되었습니다. (현재 닉네임은 그대로 유지됩니다)'
+        : '🔁 닉네임 자동 동기화에 다시 참여합니다.',
+      flags: EPHEMERAL,
+    });
+  }
+
+  // /homework list | summary
+  if (i.commandName === 'homework') {
+    const sub = i.options.getSubcommand();
+    if (sub === 'list') {
+      const main = getLink(i.guildId, i.user.id)?.main;
+      if (!main) {
+        return i.reply({ content: '먼저 `/link [캐릭터명]` 으로 연결해주세요.', flags: EPHEMERAL });
+      }
+      await i.deferReply({ flags: EPHEMERAL });
+      try {
+        await i.editReply(await buildHomeworkView(i.guildId, i.user.id, main));
+      } catch (e) {
+        console.error('homework list error:', e?.response?.data || e);
+        await i.editReply('❌ 숙제 목록을 불러오지 못했습니다.');
+      }
+    }
+    if (sub === 'summary') {
+      await i.deferReply();
+      try {
+        await i.editReply({ embeds: [await buildHomeworkSummaryEmbed(i.guildId)] });
+      } catch (e) {
+        console.error('homework summary error:', e?.response?.data || e);
+        await i.editReply('❌ 숙제 현황을 불러오지 못했습니다.');
+      }
+    }
+  }
+
+  // /raid create
+  if (i.commandName === 'raid' && i.options.getSubcommand() === 'create') {
+    const raid = getRaid(i.options.getString('raid', true));
+    const diff = raid?.difficulties.find((d) => d.key === i.options.getString('difficulty', true));
+    if (!diff) {
+      return i.reply({ content: `❌ ${raid?.name ?? '해당 레이드'}에는 그 난이도가 없습니다.`, flags: EPHEMERAL });
+    }
+    const startAt = parseKstDateTime(i.options.getString('time', true));
+    if (!startAt || startAt <= Date.now()) {
+      return i.reply({
+        content: '❌ 시작 시각을 이해하지 못했어요. 예: `2026-10-21 20:00`, `10/21 20:00`, `20:00` (KST, 미래 시각)',
+        flags: EPHEMERAL,
+      });
+    }
+
+    const party = {
+      id: crypto.randomUUID().slice(0, 8),
+      guildId: i.guildId,
+      channelId: i.channelId,
+      messageId: null,
+      creatorId: i.user.id,
+      raidId: raid.id,
+      difficulty: diff.key,
+      minLevel: i.options.getNumber('min-level') ?? diff.minLevel,
+      size: i.options.getInteger('size') ?? 8,
+      startAt,
+      members: [],
+      waitlist: [],
+      reminded: false,
+      closed: false,
+    };
+    try {
+      await i.reply(renderRaidParty(party));
+      const msg = await i.fetchReply();
+      party.messageId = msg.id;
+      raidParties.push(party);
+      persist('raids', raidParties);
+    } catch (e) {
+      console.error('raid create error:', e?.rawError ?? e);
+      const payload = { content: '❌ 레이드 모집 글 작성에 실패했습니다.', flags: EPHEMERAL };
+      await (i.replied ? i.followUp(payload) : i.reply(payload)).catch(() => {});
+    }
+  }
+
+  // /progress
+  if (i.commandName === 'progress') {
+    const name = i.options.getString('character')?.trim() || getLink(i.guildId, i.user.id)?.main;
+    if (!name) {
+      return i.reply({ content: '캐릭터명을 입력하거나 먼저 `/link [캐릭터명]` 으로 연결해주세요.', flags: EPHEMERAL });
+    }
+    const days = Number(i.options.getString('period') || '7');
+    await i.deferReply();
+    try {
+      // 현재 값도 기록해 두고 그래프에 포함
+      const profile = await getProfile(name);
+      const p = profile?.ArmoryProfile || profile;
+      if (!p) {
+        return i.editReply(`❌ **${name}** 캐릭터를 찾지 못했어요.`);
+      }
+      recordProfile(name, p);
+      await i.editReply({ embeds: [buildProgressEmbed(name, days)] });
+    } catch (e) {
+      console.error('progress error:', e?.response?.data || e);
+      await i.editReply('❌ 성장 기록을 불러오지 못했습니다.');
+    }
+  }
+
+  // /board-enable
+  if (i.commandName === 'board-enable') {
+    await i.deferReply({ flags: EPHEMERAL });
+    try {
+      const options = normalizeBoardOptions({
+        sort: i.options.getString('sort') ?? undefined,
+        mode: i.options.getString('mode') ?? undefined,
+        rosters: i.options.getString('rosters') ?? undefined,
+        server: i.options.getString('server')?.trim() || null,
+        className: i.options.getString('class')?.trim() || null,
+        minLevel: i.options.getNumber('min-level'),
+        top: i.options.getInteger('top'),
+        build: i.options.getString('build')?.trim() || null,
+      });
+      const msg = await ensureBoardInChannel(i.channelId);
+      const board = addBoard(i.guildId, i.channelId, msg.id, options);
+      await refreshBoard(board);
+      await i.editReply(
+        `📌 이 채널의 보드를 자동 갱신 대상으로 등록했습니다.\n옵션: ${describeBoardOptions(options)}`,
+      );
+    } catch (e) {
+      console.error('board-enable error:', e?.rawError ?? e);
+      await i.editReply('❌ 보드 생성/등록에 실패했습니다.');
+    }
+  }
+
+  // /board-disable
+  if (i.commandName === 'board-disable') {
+    const before = boards.length;
+    boards = boards.filter((b) => b.channelId !== i.channelId);
+    boardsSet = new Set(boards.map((b) => boardsKey(b.channelId, b.messageId)));
+    persist('boards', boards);
+    await i.reply({
+      content:
+        before !== boards.length
+          ? '🧹 이 채널의 보드 관리를 해제했습니다.'
+          : 'ℹ️ 이 채널에는 등록된 보드가 없습니다.',
+      flags: EPHEMERAL,
+    });
+  }
+
+  // /board-list
+  if (i.commandName === 'board-list') {
+    return i.reply({ embeds: [buildBoardListEmbed(i.guildId)], flags: EPHEMERAL });
+  }
+
+  // /board-refresh
+  if (i.commandName === 'board-refresh') {
+    await i.deferReply({ flags: EPHEMERAL });
+    try {
+      const only = new Set([i.guildId]);
+      await refreshAllBoards(only);
+      await refreshAllPersonalOnce(only);
+      lastRefreshAt.set(i.guildId, Date.now());
+      await i.editReply('🔄 이 서버의 보드를 즉시 갱신했습니다.');
+    } catch (e) {
+      console.error('board-refresh error:', e);
+      await i.editReply('❌ 갱신 중 오류가 발생했습니다.');
+    }
+  }
+
+  // /board-scan
+  if (i.commandName === 'board-scan') {
+    await i.deferReply({ flags: EPHEMERAL });
+    try {
+      const found = await discoverBoards(i.guildId);
+      await i.editReply(`🔎 스캔 완료: ${found}개 보드를 관리 대상으로 등록했습니다.`);
+    } catch (e) {
+      console.error('board-scan error:', e);
+      await i.editReply('❌ 스캔 중 오류가 발생했습니다.');
+    }
+  }
+}
+
+// ===================== 보드/개인 메시지 관리 =====================
+async function ensureBoardInChannel(channelId) {
+  const ch = await client.channels.fetch(channelId);
+  if (!ch || ch.type !== ChannelType.GuildText) {
+    throw new Error('이 명령은 텍스트 채널에서만 사용 가능합니다.');
+  }
+
+  // 기존 등록 확인
+  for (const b of boards) {
+    if (b.channelId === channelId) {
+      const existing = await ch.messages.fetch(b.messageId).catch(() => null);
+      if (existing) return existing;
+    }
+  }
+
+  // 채널 최근 메시지에서 우리 마커 재사용
+  const { scanLimit, boardTitle } = guildConfig(guildSettings[ch.guildId]);
+  const msgs = await ch.messages.fetch({ limit: scanLimit }).catch(() => null);
+  if (msgs) {
+    const mine = [...msgs.values()].find(
+      (m) => m.author?.id === client.user.id && hasBoardMarker(m),
+    );
+    if (mine) return mine;
+  }
+
+  // 새로 생성 (내용은 등록 후 refreshBoard 에서 채움)
+  const embed = new EmbedBuilder()
+    .setTitle(boardTitle)
+    .setDescription('⏳ 보드를 준비하는 중입니다...')
+    .setFooter({ text: BOARD_TAG })
+    .setColor(0xffd700);
   const msg = await ch.send({ embeds: [embed] });
   return msg;
 }
 
-function hasBoardMarker(message) {
-  const e = message.embeds?.[0];
-  return Boolean(e?.footer?.text && e.footer.text.includes(BOARD_TAG));
+function hasBoardMarker(message) {
+  const e = message.embeds?.[0];
+  return Boolean(e?.footer?.text && e.footer.text.includes(BOARD_TAG));
+}
+
+// 이미 관리 중이면 options 만 교체 (options 없이 호출하면 그대로 둠), 결과: 보드 항목
+function addBoard(guildId, channelId, messageId, options) {
+  const key = boardsKey(channelId, messageId);
+  if (boardsSet.has(key)) {
+    const existing = boards.find((b) => b.channelId === channelId && b.messageId === messageId);
+    if (options) {
+      existing.options = options;
+      persist('boards', boards);
+    }
+    return existing;
+  }
+  const board = { guildId, channelId, messageId, options: options ?? normalizeBoardOptions() };
+  boards.push(board);
+  boardsSet.add(key);
+  persist('boards', boards);
+  return board;
+}
+
+async function discoverBoards(guildId) {
+  const guild = await client.guilds.fetch(guildId);
+  const chans = await guild.channels.fetch();
+  const { scanLimit } = guildConfig(guildSettings[guildId]);
+  let found = 0;
+  for (const [, ch] of chans) {
+    if (!ch || ch.type !== ChannelType.GuildText) continue;
+    let msgs = null;
+    try {
+      msgs = await ch.messages.fetch({ limit: scanLimit });
+    } catch {
+      continue;
+    }
+    for (const [, m] of msgs) {
+      if (m.author?.id !== client.user.id) continue;
+      if (!hasBoardMarker(m)) continue;
+      addBoard(guild.id, ch.id, m.id);
+      found++;
+    }
+  }
+  console.log(`🔎 discoverBoards[${guild.id}]: ${found} boards found (managed total=${boards.length})`);
+  return found;
+}
+
+// 로스터 조회는 길드당 1회, 같은 옵션/페이지 보드는 렌더링도 1회, 편집은 EDIT_CONCURRENCY 개씩 동시에
+// guildIds 를 주면 그 길드 보드만 (예전 항목처럼 guildId 가 없는 보드는 항상 포함)
+async function refreshAllBoards(guildIds = null) {
+  const targets = guildIds ? boards.filter((b) => !b.guildId || guildIds.has(b.guildId)) : boards;
+  console.log(`[REFRESH_ALL] count=${targets.length}/${boards.length}`);
+  const rostersByGuild = new Map(); // guildId -> Promise<rosters>
+  const payloads = new Map();       // guildId|options -> Promise<payload>
+  const payloadFor = (b) => {
+    const key = `${b.guildId}|${JSON.stringify(normalizeBoardOptions(b.options))}`;
+    if (!payloads.has(key)) {
+      if (!rostersByGuild.has(b.guildId)) {
+        rostersByGuild.set(b.guildId, fetchRosters(b.guildId, TICK_FETCH));
+      }
+      payloads.set(key, rostersByGuild.get(b.guildId).then((rosters) => buildBoardPayload(b, rosters)));
+    }
+    return payloads.get(key);
+  };
+
+  const gone = [];
+  await mapLimit(targets, EDIT_CONCURRENCY, async (b) => {
+    const outcome = await editManaged(b.channelId, b.messageId, (ch) => {
+      if (!b.guildId) {
+        b.guildId = ch.guildId;
+        persist('boards', boards);
+      }
+      return payloadFor(b);
+    });
+    if (trackEdit('board', b.channelId, b.messageId, outcome)) gone.push(b);
+  });
+
+  // 채널/메시지가 영구히 사라진 보드는 관리 목록에서 정리
+  if (gone.length) {
+    boards = boards.filter((b) => !gone.includes(b));
+    boardsSet = new Set(boards.map((b) => boardsKey(b.channelId, b.messageId)));
+    persist('boards', boards);
+  }
+}
+
+// ===================== 관리 메시지 상태 / 정리 =====================
+// 연속 실패 횟수 (재시작하면 초기화)
+const editHealth = new Map(); // `${channelId}:${messageId}` -> { failures, lastOkAt, lastError, lastErrorAt }
+// 내용이 같아 편집을 건너뛰면 삭제를 알 수 없으므로, 이 간격마다 한 번은 메시지가 있는지 직접 조회
+const EXISTENCE_CHECK_MS = 30 * 60 * 1000;
+const lastSeen = new Map(); // `${channelId}:${messageId}` -> 마지막으로 편집 / 조회에 성공한 시각
+
+function forgetManaged(channelId, messageId) {
+  const key = boardsKey(channelId, messageId);
+  editHealth.delete(key);
+  lastRendered.delete(key);
+  lastSeen.delete(key);
+}
+
+// 채널 조회 → 내용 만들기 → 편집 → { result: 'edited'|'unchanged'|'gone'|'no-access'|'error', error? }
+async function editManaged(channelId, messageId, payloadFor) {
+  try {
+    const ch = await client.channels.fetch(channelId);
+    if (!ch) return { result: 'no-access', error: 'channel not visible' };
+    const result = await editIfChanged(ch, messageId, await payloadFor(ch));
+    if (result === 'message-missing') return { result: 'gone', error: 'message not found' };
+    const key = boardsKey(channelId, messageId);
+    if (result === 'unchanged' && Date.now() - (lastSeen.get(key) ?? 0) >= EXISTENCE_CHECK_MS) {
+      try {
+        await ch.messages.fetch({ message: messageId, force: true });
+      } catch (e) {
+        if (e?.code === RESTJSONErrorCodes.UnknownMessage) {
+          lastRendered.delete(key);
+          return { result: 'gone', error: 'message not found' };
+        }
+        throw e;
+      }
+    }
+    lastSeen.set(key, Date.now());
+    return { result, error: null };
+  } catch (e) {
+    return { result: classifyEditFailure(e?.code), error: e?.rawError?.message ?? e?.message ?? String(e) };
+  }
+}
+
+// 상태 기록 + 로그 + 지표, 정리해야 하면 true
+function trackEdit(target, channelId, messageId, { result, error }) {
+  const key = boardsKey(channelId, messageId);
+  const { health, prune } = nextEditHealth(editHealth.get(key), result, { error });
+  editHealth.set(key, health);
+  recordEdit(target, result, { channelId, messageId, error });
+  if (result === 'edited' && target === 'personal') console.log('[EDIT OK personal]', channelId, messageId);
+  if (health.failures) {
+    console.error(`[EDIT FAIL ${target}]`, channelId, messageId, `${health.lastError} (x${health.failures})`);
+  }
+  if (prune) {
+    console.log(`[PRUNE ${target}]`, channelId, messageId, health.lastError);
+    forgetManaged(channelId, messageId);
+  }
+  return prune;
+}
+
+const messageLink = (guildId, channelId, messageId) => `https://discord.com/channels/${guildId}/${channelId}/${messageId}`;
+
+function buildBoardListEmbed(guildId) {
+  const line = (channelId, messageId, label) =>
+    `• ${label}<#${channelId}> [메시지](${messageLink(guildId, channelId, messageId)}) — ` +
+    healthBadge(editHealth.get(boardsKey(channelId, messageId)));
+
+  const boardLines = boards
+    .filter((b) => b.guildId === guildId)
+    .map((b) => line(b.channelId, b.messageId, ''));
+  const pinLines = [];
+  for (const [userId, info] of Object.entries(links[guildId] || {})) {
+    for (const p of info?.personals ?? []) pinLines.push(line(p.channelId, p.messageId, `<@${userId}> ${p.main || info.main} · `));
+  }
+
+  return new EmbedBuilder()
+    .setTitle('🗂️ 관리 중인 메시지')
+    .setDescription(joinLines([
+      `**📋 보드 (${boardLines.length})**`,
+      ...(boardLines.length ? boardLines : ['없음']),
+      '',
+      `**📌 개인 고정 (${pinLines.length})**`,
+      ...(pinLines.length ? pinLines : ['없음']),
+    ]))
+    .setFooter({ text: `메시지/채널이 삭제되면 다음 갱신 때, 접근 권한이 없으면 ${MAX_EDIT_FAILURES}회 연속 실패 후 자동 정리` })
+    .setColor(0x95a5a6);
+}
+
+// 메시지별로 마지막에 보낸 내용(갱신 시각 제외) → 같으면 편집 생략
+const lastRendered = new Map(); // `${channelId}:${messageId}` -> signature
+
+function renderSignature(payload) {
+  return JSON.stringify({
+    embeds: payload.embeds.map((e) => {
+      const { footer, ...rest } = e.toJSON();
+      return rest;
+    }),
+    components: (payload.components || []).map((c) => c.toJSON()),
+  });
+}
+
+// 결과: 'edited' | 'unchanged' | 'message-missing'
+async function editIfChanged(ch, messageId, payload) {
+  const key = boardsKey(ch.id, messageId);
+  const signature = renderSignature(payload);
+  if (lastRendered.get(key) === signature) return 'unchanged';
+  try {
+    await ch.messages.edit(messageId, payload);
+  } catch (e) {
+    if (e?.code === RESTJSONErrorCodes.UnknownMessage) {
+      lastRendered.delete(key);
+      return 'message-missing';
+    }
+    throw e;
+  }
+  lastRendered.set(key, signature);
+  return 'edited';
+}
+
+// 보드 1개만 즉시 갱신 (/board-enable, 페이지 이동 후 등)
+async function refreshBoard(b) {
+  const ch = await client.channels.fetch(b.channelId);
+  const payload = await buildBoardPayload(b, await fetchRosters(b.guildId));
+  return editIfChanged(ch, b.messageId, payload);
+}
+
+// ===================== 공용 보드 임베드 =====================
+// 보드가 속한 길드의 등록자별 형제 캐릭터 목록
+// 유저의 로스터마다 한 항목 (primary = 주 로스터)
+async function fetchRosters(guildId, fetchOpts) {
+  const members = links[guildId] || {};
+  const entries = Object.entries(members).flatMap(([userId, info]) =>
+    linkRosters(info).map((r) => ({ userId, roster: r, primary: r.main === info.main })),
+  );
+  const rosters = await mapLimit(entries, API_CONCURRENCY, async ({ userId, roster, primary }) => {
+    const { main } = roster;
+    const base = { userId, main, primary, verified: roster.verified === true };
+    try {
+      const chars = await getSiblings(main, fetchOpts);
+      if (!chars?.length) return { ...base, err: `${main}: ❌ 조회 실패` };
+      recordSiblings(chars);
+      return { ...base, chars };
+    } catch {
+      return { ...base, err: `${main}: ❌ 오류` };
+    }
+  });
+  return markDuplicateRosters(rosters);
+}
+
+// 캐릭터가 속한 유저의 로스터 대표 (캐시된 형제 목록 기준, 못 찾으면 주 로스터)
+async function rosterMainOf(guildId, userId, charName) {
+  const link = getLink(guildId, userId);
+  for (const r of linkRosters(link)) {
+    if (r.main === charName) return r.main;
+    const chars = await getSiblings(r.main).catch(() => null);
+    if (Array.isArray(chars) && chars.some((c) => c.CharacterName === charName)) return r.main;
+  }
+  return link?.main || null;
+}
+
+// 유저가 연결한 모든 로스터의 캐릭터 (조회 실패한 로스터는 건너뜀)
+async function linkedCharacters(guildId, userId) {
+  const lists = await Promise.all(
+    linkRosters(getLink(guildId, userId)).map((r) => getSiblings(r.main).catch(() => null)),
+  );
+  return lists.filter(Array.isArray).flat();
+}
+
+function unlinkedText(main, link, unpinned = 0) {
+  return `🔓 **${main}** 로스터 연결을 해제했습니다.` + (link.main ? ` (주 로스터: **${link.main}**)` : '')
+    + (unpinned ? `\n📌 이 로스터의 개인 고정 메시지 ${unpinned}개도 해제했습니다.` : '');
+}
+
+// 개인 고정 메시지가 보여 주는 로스터 (예전 기록은 main 없이 주 로스터)
+const personalMain = (link, p) => p.main || link.main;
+
+// 개인 고정 메시지 해제: 기록 정리 + 메시지 삭제 (이미 지워졌으면 기록만)
+async function unpinPersonals(link, targets) {
+  link.personals = (link.personals ?? []).filter((p) => !targets.includes(p));
+  persist('links', links);
+  for (const p of targets) {
+    forgetManaged(p.channelId, p.messageId);
+    const ch = await client.channels.fetch(p.channelId).catch(() => null);
+    await ch?.messages.delete(p.messageId).catch(() => {});
+  }
+}
+
+// 로스터 해제 + 그 로스터의 개인 고정 메시지도 해제 (주 로스터가 바뀌기 전에 골라 둠) → 해제한 고정 메시지 수
+async function unlinkRoster(link, main) {
+  const pins = (link.personals ?? []).filter((p) => personalMain(link, p) === main);
+  removeRoster(link, main);
+  await unpinPersonals(link, pins);
+  return pins.length;
+}
+
+// 전투력 정렬용: 표시 대상 캐릭터의 프로필 조회 (캐시 공유)
+async function attachCombatPower(entries) {
+  await mapLimit(entries, API_CONCURRENCY, async (e) => {
+    try {
+      const profile = await getProfile(e.name);
+      const p = profile?.ArmoryProfile || profile;
+      recordProfile(e.name, p);
+      e.combatPower = toCombatPowerNum(p?.CombatPower);
+    } catch {
+      e.combatPower = null;
+    }
+  });
+}
+
+// 보드 옵션대로 고르고 정렬한 항목 (보드 메시지 / 웹 로스터 공용)
+async function boardEntries(opts, rosters, { combatPower = needsCombatPower(opts) } = {}) {
+  // 빌드 필터: 다른 조건을 통과한 캐릭터만 아크 패시브 조회
+  const builds = needsBuild(opts)
+    ? await loadBuilds(selectBoardEntries(rosters, { ...opts, mode: 'all', build: null }).map((e) => e.name))
+    : undefined;
+  const entries = selectBoardEntries(rosters, opts, { builds });
+  if (combatPower) await attachCombatPower(entries);
+  return sortBoardEntries(entries, opts);
+}
+
+// page / ephemeral: 누른 사람에게만 보여줄 페이지 (공유 보드 메시지는 항상 첫 페이지)
+async function buildBoardPayload(board, rosters, { page: wanted = 0, ephemeral = false } = {}) {
+  const opts = normalizeBoardOptions(board.options);
+  const entries = await boardEntries(opts, rosters);
+
+  const lines = entries.map((e, idx) => formatBoardLine(e, idx + 1));
+  if (opts.mode === 'best') {
+    lines.push(...visibleRosters(rosters, opts).filter((r) => r.err).map((r) => `• **<@${r.userId}>** — ${r.err}`));
+  }
+  const pages = paginateLines(lines);
+  const page = Math.min(Math.max(wanted, 0), pages.length - 1);
+
+  let body = pages[page];
+  if (!rosters.length) body = '등록된 유저가 없습니다. `/link 캐릭터명`으로 등록하세요.';
+  else if (!lines.length) body = '조건에 맞는 캐릭터가 없습니다.';
+
+  const embed = new EmbedBuilder()
+    .setTitle(guildConfig(guildSettings[board.guildId]).boardTitle)
+    .setDescription(`*${describeBoardOptions(opts)}*\n\n${body}`)
+    .setFooter({
+      text: `${BOARD_TAG} ${page + 1}/${pages.length} 페이지 • 마지막 갱신: ${new Date().toLocaleString('ko-KR', {
+        timeZone: 'Asia/Seoul',
+      })}`,
+    })
+    .setColor(0xffd700);
+
+  // 여러 페이지면 이전/다음 버튼 (공유 보드는 클릭된 메시지로, ephemeral 은 customId 의 보드 messageId 로 판단)
+  const pageId = (n) => (ephemeral ? `board-page:${board.messageId}:${n}` : `board-page:${n}`);
+  const components = [];
+  if (pages.length > 1) {
+    components.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(pageId(page - 1))
+        .setLabel('◀ 이전').setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+      new ButtonBuilder().setCustomId(pageId(page + 1))
+        .setLabel('다음 ▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pages.length - 1),
+    ));
+  }
+  return { embeds: [embed], components };
+}
+
+// ===== 개인 임베드 + 드롭다운 뷰 (메인 카드에는 이미지 X) =====
+async function buildPersonalView(userId, mainName, channelId, fetchOpts) {
+  // 1) 형제 캐릭터 목록
+  const sorted = sortByLevel(await getSiblings(mainName, fetchOpts));
+  recordSiblings(sorted);
+  const mainChar = sorted[0];
+  const footer = {
+    text: `${BOARD_TAG} 개인 • 마지막 갱신: ${new Date().toLocaleString('ko-KR', {
+      timeZone: 'Asia/Seoul',
+    })}`,
+  };
+  // 이름을 바꿨거나 삭제한 캐릭터면 목록이 비어 있음
+  if (!mainChar) {
+    const embed = new EmbedBuilder()
+      .setTitle(`**${mainName}** 캐릭터를 찾을 수 없음`)
+      .setDescription('캐릭터 이름을 바꿨거나 삭제했다면 `/link [캐릭터명]` 으로 다시 등록해 주세요.')
+      .setColor(0x95a5a6)
+      .setFooter(footer);
+    return { embeds: [embed], components: [] };
+  }
+
+  // 2) 메인캐릭 프로필(전투력) / 아크 패시브 — 실패하면 null (목록은 보여 줌)
+  const profile = await getProfile(mainChar.CharacterName, fetchOpts).catch((e) => {
+    console.error('getProfile error:', e?.response?.data || e);
+    return null;
+  });
+  recordProfile(mainChar.CharacterName, profile?.ArmoryProfile || profile);
+  const ark = await getArkPassive(mainChar.CharacterName, fetchOpts).catch((e) => {
+    console.error('getArkPassive error:', e?.response?.data || e);
+    return null;
+  });
+
+  const displayName = await getDisplayName(userId, channelId);
+  const { guildId } = await client.channels.fetch(channelId);
+  const hwChars = homeworkChars(sorted);
+
+  // 3) 한 개의 embed에 텍스트만 (이미지 없음)
+  const data = personalViewData({
+    displayName,
+    sorted,
+    mainName,
+    profile,
+    ark,
+    homeworkTitle: HOMEWORK_TITLE,
+    homeworkText: hwChars.length ? formatHomework(guildId, userId, hwChars) : null,
+    link: getLink(guildId, userId),
+  });
+  const embed = new EmbedBuilder()
+    .setTitle(data.title)
+    .setDescription(data.description)
+    .setColor(0x00ae86)
+    .setFooter(footer)
+    .addFields(data.fields);
+
+  // 4) 드롭다운(캐릭 선택)
+  const select = new StringSelectMenuBuilder()
+    .setCustomId(`char-detail:${userId}`)
+    .setPlaceholder('자세히 볼 캐릭터 선택')
+    .addOptions(data.selectOptions);
+
+  const row = new ActionRowBuilder().addComponents(select);
+
+  // 5) 숙제 체크 버튼
+  return {
+    embeds: [embed],
+    components: [row, ...buildHomeworkRows(guildId, userId, hwChars)],
+  };
+}
+
+// /mychars 응답
+async function replyMyChars(i, mainName, isPublic = false) {
+  const view = await buildPersonalView(i.user.id, mainName, i.channelId);
+  const payload = { embeds: view.embeds, components: view.components };
+  if (!isPublic) payload.flags = EPHEMERAL;
+
+  if (i.replied || i.deferred) {
+    await i.editReply(payload).catch(async () => i.followUp(payload));
+  } else {
+    await i.reply(payload);
+  }
+}
+
+// 개인 고정 메시지(공개) 생성/업데이트 + 위치 저장
+// 👉 userId + mainName + channelId 조합마다 "별도의" 고정 메시지 관리
+async function ensurePersonalPinnedInChannel(channelId, userId, mainName) {
+  const ch = await client.channels.fetch(channelId);
+  const members = guildLinks(ch.guildId);
+
+  const cur = members[userId] || {};
+  const personals = Array.isArray(cur.personals) ? cur.personals : [];
+
+  // 해당 main + 채널 조합의 기존 레코드 찾기
+  let record = personals.find((p) => p.channelId === channelId && p.main === mainName);
+  let existing = null;
+  if (record) {
+    const och = await client.channels.fetch(record.channelId).catch(() => null);
+    existing = och ? await och.messages.fetch(record.messageId).catch(() => null) : null;
+  }
+
+  const view = await buildPersonalView(userId, mainName, channelId);
+
+  if (!existing) {
+    // 새 메시지 생성
+    const msg = await ch.send({ embeds: view.embeds, components: view.components });
+    const newRec = { main: mainName, channelId: ch.id, messageId: msg.id };
+    personals.push(newRec);
+
+    members[userId] = { ...cur, main: cur.main || mainName, personals };
+    persist('links', links);
+    return 'created';
+  } else {
+    // 기존 메시지 갱신
+    await existing.edit({ embeds: view.embeds, components: view.components });
+    record.channelId = ch.id;
+    record.messageId = existing.id;
+
+    members[userId] = { ...cur, personals };
+    persist('links', links);
+    return 'updated';
+  }
+}
+
+// ===================== 자동 갱신 루프 =====================
+let refreshTimer = null;
+let tickRunning = false;
+function startAutoRefresh() {
+  if (refreshTimer) clearInterval(refreshTimer);
+  const tick = async () => {
+    // 이전 tick 이 아직 끝나지 않았으면 겹쳐 돌리지 않음
+    if (tickRunning) {
+      console.log('[TICK] skipped (previous tick still running)');
+      return;
+    }
+    tickRunning = true;
+    const startedAt = Date.now();
+    runtime.tickStartedAt = startedAt;
+    console.log('[TICK]', new Date().toISOString(), `managedBoards=${boards.length}`);
+    // 단계 하나가 실패해도 나머지는 계속, 실패한 단계만 기록
+    const failures = [];
+    const apiBefore = { ...runtime.apiCalls };
+    const step = async (name, fn) => {
+      try {
+        await fn();
+      } catch (e) {
+        failures.push(name);
+        metrics.inc('tick_step_errors', { step: name });
+        console.error(`auto refresh error [${name}]:`, e);
+      }
+    };
+    try {
+      let due = new Set();
+      await step('homework', () => resetHomeworkIfNeeded());
+      await step('due', () => { due = dueGuilds(); });
+      await step('boards', () => refreshAllBoards(due));
+      await step('announce', () => announceAllChanges(due));
+      await step('personals', () => refreshAllPersonalOnce(due));
+      await step('nicknames', () => syncAllNicknames(due));
+      await step('roles', () => syncAllRoles(due));
+      await step('history', () => flushHistory());
+      await step('orphans', () => purgeOrphanedGuilds());
+    } finally {
+      tickRunning = false;
+      runtime.tickStartedAt = null;
+      runtime.lastTickAt = Date.now();
+      runtime.lastTickMs = runtime.lastTickAt - startedAt;
+      runtime.lastTickFailures = failures;
+      // 보드 / 개인 메시지를 갱신했고, API 를 불렀다면 한 번은 성공해야 성공 tick
+      const apiOk = runtime.apiCalls.ok - apiBefore.ok;
+      const apiFailed = runtime.apiCalls.failed - apiBefore.failed;
+      const succeeded = !failures.includes('boards') && !failures.includes('personals') && !(apiFailed && !apiOk);
+      if (succeeded) runtime.lastSuccessfulTickAt = runtime.lastTickAt;
+      console.log(`[TICK] done in ${runtime.lastTickMs}ms${failures.length ? ` failed=${failures.join(',')}` : ''}`);
+    }
+  };
+  tick(); // 즉시 1회
+  refreshTimer = setInterval(tick, REFRESH_INTERVAL_MS);
+  console.log('⏱️ 자동 갱신 시작 (1분 간격)');
+}
+
+// 길드별 갱신 간격(/config refresh-interval)이 지난 길드만 이번 tick 에 갱신
+const lastRefreshAt = new Map(); // guildId -> ts
+function dueGuilds(now = Date.now()) {
+  const ids = new Set([...boards.map((b) => b.guildId).filter(Boolean), ...Object.keys(links)]);
+  const due = new Set();
+  for (const guildId of ids) {
+    if (isOrphaned(guildId) || guildId === LEGACY_GUILD_KEY) continue;
+    const intervalMs = guildConfig(guildSettings[guildId]).refreshMinutes * 60 * 1000;
+    // tick 이 조금 일찍 와도 밀리지 않도록 tick 간격의 절반만큼 여유
+    if (now - (lastRefreshAt.get(guildId) ?? 0) >= intervalMs - REFRESH_INTERVAL_MS / 2) {
+      due.add(guildId);
+      lastRefreshAt.set(guildId, now);
+    }
+  }
+  return due;
+}
+
+async function refreshAllPersonalOnce(guildIds = null) {
+  const jobs = [];
+  for (const [guildId, members] of Object.entries(links)) {
+    if (guildIds && !guildIds.has(guildId)) continue;
+    for (const [userId, info] of Object.entries(members)) {
+      for (const p of info?.personals ?? []) {
+        const main = p.main || info.main;
+        if (!p.channelId || !p.messageId || !main) continue;
+        jobs.push({ info, userId, p, main });
+      }
+    }
+  }
+
+  const gone = [];
+  await mapLimit(jobs, EDIT_CONCURRENCY, async (job) => {
+    const { userId, p, main } = job;
+    // 보드 갱신에서 받아 둔 형제 목록은 캐시로 재사용됨
+    const outcome = await editManaged(p.channelId, p.messageId, () => buildPersonalView(userId, main, p.channelId, TICK_FETCH));
+    if (trackEdit('personal', p.channelId, p.messageId, outcome)) gone.push(job);
+  });
+
+  if (gone.length) {
+    for (const { info, p } of gone) info.personals = info.personals.filter((x) => x !== p);
+    persist('links', links);
+  }
+}
+
+// ===================== /link 인증 =====================
+// 로스터(기본: 주 로스터)마다 인게임 길드 이름 → 프로필 문구의 1회용 코드 순서로 확인
+// 통과하면 같은 로스터를 등록한 다른 유저의 미인증 등록은 해제
+async function verifyLink(guildId, userId, main) {
+  const link = getLink(guildId, userId);
+  const me = findRoster(link, main ?? link?.main);
+  if (!me) return { status: 'no-link' };
+  if (me.verified === true) {
+    return { status: 'verified', main: me.main, method: me.verifyMethod, released: [] };
+  }
+
+  const profile = await getProfile(me.main, { force: true });
+  const p = profile?.ArmoryProfile || profile;
+  const { verifyGuildName } = guildConfig(guildSettings[guildId]);
+  let method = null;
+  if (guildMatches(p, verifyGuildName)) method = 'guild';
+  else if (me.verifyCode && profileHasCode(p, me.verifyCode)) method = 'code';
+
+  if (!method) {
+    me.verifyCode ??= newVerifyCode();
+    persist('links', links);
+    return { status: 'pending', main: me.main, code: me.verifyCode, guildName: verifyGuildName };
+  }
+
+  me.verified = true;
+  me.verifyMethod = method;
+  delete me.verifyCode;
+
+  const chars = await getSiblings(me.main).catch(() => null);
+  const rosterNames = Array.isArray(chars) ? chars.map((c) => c.CharacterName) : [me.main];
+  const released = findRosterClaims(guildLinks(guildId), rosterNames, userId).filter((c) => !c.verified);
+  for (const c of released) {
+    await unlinkRoster(guildLinks(guildId)[c.userId], c.main);
+    console.log('[VERIFY] released duplicate claim', guildId, c.userId, c.main);
+  }
+  persist('links', links);
+  console.log('[VERIFY OK]', guildId, userId, me.main, method);
+  return { status: 'verified', main: me.main, method, released };
+}
+
+function verifyResultText(result) {
+  if (result.status === 'no-link') return '연결된 로스터를 찾지 못했습니다. 먼저 `/link [캐릭터명]` 으로 연결해주세요.';
+  if (result.status === 'verified') {
+    const how = result.method === 'guild' ? '인게임 길드 확인' : '인증 코드 확인';
+    const released = result.released?.length
+      ? `\n같은 로스터의 미인증 등록 ${result.released.length}건을 해제했습니다.`
+      : '';
+    return `✅ **${result.main}** 로스터는 인증되었습니다. (${how})${released}`;
+  }
+  const byGuild = result.guildName
+    ? `\n인게임 길드 **${result.guildName}** 소속 캐릭터라면 가입 후 \`/link-verify\` 만 실행해도 됩니다.`
+    : '';
+  return (
+    `🔐 **${result.main}** 로스터는 아직 인증되지 않아 보드에 **미인증**으로 표시됩니다.\n` +
+    `이 캐릭터의 영지 이름 등 프로필 문구에 \`${result.code}\` 를 넣은 뒤 \`/link-verify\` 를 실행해 주세요. ` +
+    '(인증 후에는 원래대로 바꿔도 됩니다)' + byGuild
+  );
+}
+
+// ===================== 권한 / 서버 설정 =====================
+// 명령 → 관리자 역할 없이도 쓸 수 있는 서버 권한 (슬래시 명령의 기본 권한과 같게)
+// 관리자 역할이 명령을 보려면 서버 설정 → 연동 → 봇에서 역할별 명령 권한을 허용해야 함
+const ADMIN_COMMANDS = {
+  config: PermissionFlagsBits.ManageGuild,
+  feed: PermissionFlagsBits.ManageGuild,
+  'board-list': PermissionFlagsBits.ManageGuild,
+  'announce-channel': PermissionFlagsBits.ManageGuild,
+  'nickname-template': PermissionFlagsBits.ManageNicknames,
+  'roles-config': PermissionFlagsBits.ManageRoles,
+  ...Object.fromEntries(Object.keys(DEFAULT_COOLDOWNS).map((name) => [name, PermissionFlagsBits.ManageGuild])),
+};
+const cooldowns = createCooldowns();
+
+function isGuildAdmin(i, permission = PermissionFlagsBits.ManageGuild) {
+  if (i.memberPermissions?.has(permission)) return true;
+  const { adminRoleIds } = guildConfig(guildSettings[i.guildId]);
+  const roles = i.member?.roles; // 캐시 안 된 멤버는 역할 ID 배열
+  const has = (id) => (Array.isArray(roles) ? roles.includes(id) : roles?.cache?.has(id));
+  return adminRoleIds.some(has);
+}
+
+function buildConfigEmbed(guildId) {
+  const settings = guildSettings[guildId] || {};
+  const cfg = guildConfig(settings);
+  return new EmbedBuilder()
+    .setTitle('⚙️ 서버 설정')
+    .setColor(0x95a5a6)
+    .addFields(
+      { name: '자동 갱신 간격', value: `${cfg.refreshMinutes}분`, inline: true },
+      { name: '보드 탐색 범위', value: `채널당 최근 ${cfg.scanLimit}개`, inline: true },
+      { name: '보드 제목', value: cfg.boardTitle, inline: false },
+      {
+        name: '관리자 역할',
+        value: cfg.adminRoleIds.length
+          ? cfg.adminRoleIds.map((id) => `<@&${id}>`).join(' ')
+          : '없음 (서버 관리 권한만)',
+      },
+      {
+        name: '쿨다운',
+        value: Object.entries(cfg.cooldowns).map(([c, s]) => `\`/${c}\` ${s}초`).join(' · '),
+      },
+      { name: '닉네임 템플릿', value: settings.nicknameTemplate ? `\`${settings.nicknameTemplate}\`` : '꺼짐', inline: true },
+      { name: '성장 알림 채널', value: settings.announceChannelId ? `<#${settings.announceChannelId}>` : '꺼짐', inline: true },
+      { name: '인증 길드', value: cfg.verifyGuildName ?? '없음 (코드 인증만)', inline: true },
+      { name: '웹 로스터', value: cfg.webToken ? '켜짐' : '꺼짐', inline: true },
+    );
+}
+
+// ===================== 성장 알림 =====================
+// 길드별로 직전 스냅샷과 비교 → 바뀐 점을 한 메시지로 모아서 전송
+async function announceGuildChanges(guildId) {
+  const rosters = await fetchRosters(guildId, TICK_FETCH); // 보드 갱신에서 받은 캐시 재사용
+  const snaps = (rosterSnapshots[guildId] ??= {});
+  const blocks = [];
+  let changed = false;
+
+  for (const r of rosters) {
+    if (r.err) continue; // 조회 실패는 비교하지 않음 (다음 tick 에 다시)
+    // 로스터(유저+대표)마다 기준값, 대표 캐릭터가 바뀌면 기준값만 새로 저장
+    const key = `${r.userId}:${r.main}`;
+    const prev = snaps[key];
+    const events = prev ? diffRoster(prev.chars, r.chars) : [];
+    const next = rosterSnapshot(r.chars);
+    if (JSON.stringify(prev?.chars) !== JSON.stringify(next)) {
+      snaps[key] = { main: r.main, chars: next };
+      changed = true;
+    }
+    if (events.length && !getLink(guildId, r.userId)?.announceMute) {
+      blocks.push(`<@${r.userId}>\n${events.map(formatAnnounceEvent).join('\n')}`);
+    }
+  }
+
+  // 연결이 사라진 로스터의 스냅샷 정리
+  for (const key of Object.keys(snaps)) {
+    const [userId, ...rest] = key.split(':');
+    if (!findRoster(getLink(guildId, userId), rest.join(':'))) {
+      delete snaps[key];
+      changed = true;
+    }
+  }
+  if (changed) persist('rosters', rosterSnapshots);
+
+  const channelId = guildSettings[guildId]?.announceChannelId;
+  if (!blocks.length || !channelId) return;
+
+  const ch = await client.channels.fetch(channelId).catch(() => null);
+  if (!ch) {
+    console.error('[ANNOUNCE FAIL] channel not found', guildId, channelId);
+    return;
+  }
+  const embeds = paginateLines(blocks, { maxLines: 10 }).map((text, idx) =>
+    new EmbedBuilder()
+      .setTitle(idx === 0 ? '🎉 성장 소식' : '🎉 성장 소식 (계속)')
+      .setDescription(text)
+      .setColor(0xf1c40f)
+      .setTimestamp(),
+  );
+  // 메시지 하나에 embed 최대 10개
+  for (let k = 0; k < embeds.length; k += 10) {
+    await ch.send({ embeds: embeds.slice(k, k + 10), allowedMentions: { parse: [] } });
+  }
+  console.log('[ANNOUNCE OK]', guildId, `users=${blocks.length}`);
+}
+
+async function announceAllChanges(guildIds = null) {
+  for (const guildId of Object.keys(links)) {
+    if (guildIds && !guildIds.has(guildId)) continue;
+    try {
+      await announceGuildChanges(guildId);
+    } catch (e) {
+      console.error('[ANNOUNCE FAIL]', guildId, e?.rawError ?? e);
+    }
+  }
+}
+
+// ===================== 닉네임(표시이름) 헬퍼 =====================
+async function getDisplayName(userId, channelId) {
+  const ch = await client.channels.fetch(channelId);
+  const member = await ch.guild.members.fetch(userId);
+  return member.displayName; // 디코 닉네임
+}
+
+// ===================== 성장 기록 (아이템 레벨 / 전투력) =====================
+// 값이 바뀔 때만 스냅샷을 추가 → 기록은 "변화 시점" 목록
+// 저장은 모아서: tick 끝에 한 번, 명령으로 바뀐 것은 HISTORY_FLUSH_MS 뒤 한 번
+const HISTORY_FLUSH_MS = 10 * 1000;
+let historyDirty = false;
+let historyFlushTimer = null;
+
+function flushHistory() {
+  clearTimeout(historyFlushTimer);
+  historyFlushTimer = null;
+  if (!historyDirty) return;
+  persist('history', history);
+  historyDirty = false;
+}
+
+function recordSnapshot(name, { itemLevel, combatPower } = {}) {
+  if (!name || (itemLevel == null && combatPower == null)) return;
+  const list = history[name] || [];
+  const last = list[list.length - 1] || {};
+  const next = {
+    ts: Date.now(),
+    itemLevel: itemLevel ?? last.itemLevel ?? null,
+    combatPower: combatPower ?? last.combatPower ?? null,
+  };
+  if (next.itemLevel === (last.itemLevel ?? null) && next.combatPower === (last.combatPower ?? null)) {
+    return;
+  }
+  list.push(next);
+  history[name] = pruneHistory(list);
+  historyDirty = true;
+  historyFlushTimer ??= setTimeout(() => {
+    try {
+      flushHistory();
+    } catch {} // persist 가 이미 로그를 남김, 다음 기록 때 다시 시도
+  }, HISTORY_FLUSH_MS);
+}
+
+function recordSiblings(chars) {
+  for (const c of chars) {
+    if (c?.ItemAvgLevel == null) continue;
+    characterIndex.set(c.CharacterName, {
+      className: c.CharacterClassName,
+      level: toLevelNum(c.ItemAvgLevel),
+    });
+    recordSnapshot(c.CharacterName, { itemLevel: toLevelNum(c.ItemAvgLevel) });
+  }
+}
+
+// ArmoryProfile → 아이템 레벨 + 전투력
+function recordProfile(name, p) {
+  if (!p) return;
+  recordSnapshot(name, {
+    itemLevel: p.ItemAvgLevel != null ? toLevelNum(p.ItemAvgLevel) : null,
+    combatPower: toCombatPowerNum(p.CombatPower),
+  });
+}
+
+// 보관 기간 이전 기록은 버리되, 기간 시작 시점의 값을 알 수 있도록 직전 1개는 유지
+function pruneHistory(list) {
+  const cutoff = Date.now() - HISTORY_RETENTION_MS;
+  const firstKept = list.findIndex((s) => s.ts >= cutoff);
+  if (firstKept === -1) return list.slice(-1);
+  return firstKept === 0 ? list : list.slice(firstKept - 1);
+}
+
+// ts 시점의 값 (그 이전 마지막 스냅샷 기준)
+function valueAt(list, ts, key) {
+  let v = null;
+  for (const s of list) {
+    if (s.ts > ts) break;
+    if (s[key] != null) v = s[key];
+  }
+  return v;
+}
+
+function sparkline(values) {
+  const nums = values.filter((v) => v != null);
+  if (nums.length < 2) return null;
+  const min = Math.min(...nums);
+  const max = Math.max(...nums);
+  return values
+    .map((v) => {
+      if (v == null) return ' ';
+      if (max === min) return SPARK_CHARS[0];
+      return SPARK_CHARS[Math.round(((v - min) / (max - min)) * (SPARK_CHARS.length - 1))];
+    })
+    .join('');
+}
+
+function formatGrowth(list, key, from, to, fmt) {
+  // 기간 시작 이전 기록이 없으면 기간 중 첫 기록부터
+  const start = valueAt(list, from, key)
+    ?? list.find((s) => s.ts >= from && s[key] != null)?.[key];
+  const end = valueAt(list, to, key);
+  if (start == null || end == null) return '기록 없음';
+
+  const delta = end - start;
+  const sign = delta > 0 ? '+' : delta < 0 ? '-' : '±';
+  const text = `${fmt(start)} → **${fmt(end)}** (${sign}${fmt(Math.abs(delta))})`;
+
+  const step = (to - from) / (SPARK_WIDTH - 1);
+  const points = Array.from({ length: SPARK_WIDTH }, (_, k) => valueAt(list, from + step * k, key));
+  const spark = sparkline(points);
+  return spark ? `${text}\n\`${spark}\`` : text;
+}
+
+function buildProgressEmbed(name, days) {
+  const list = history[name] || [];
+  const to = Date.now();
+  const from = to - days * 24 * 60 * 60 * 1000;
+
+  const fmtLevel = (n) => n.toLocaleString('ko-KR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const fmtCp    = (n) => n.toLocaleString('ko-KR', { maximumFractionDigits: 2 });
+
+  const since = list.length
+    ? new Date(list[0].ts).toLocaleDateString('ko-KR', { timeZone: 'Asia/Seoul' })
+    : null;
+
+  return new EmbedBuilder()
+    .setTitle(`📈 ${name} 성장 기록 (최근 ${days}일)`)
+    .addFields(
+      { name: '아이템 레벨', value: formatGrowth(list, 'itemLevel', from, to, fmtLevel) },
+      { name: '전투력',      value: formatGrowth(list, 'combatPower', from, to, fmtCp) },
+    )
+    .setFooter({ text: since ? `기록 시작: ${since}` : '아직 기록이 없습니다. 자동 갱신 후 다시 확인하세요.' })
+    .setColor(0x9b59b6);
+}
+
+// ===================== 주간 숙제 =====================
+// 주차가 바뀌었으면 (수요일 06:00 KST) 해당 길드 체크 기록 초기화
+function guildHomework(guildId) {
+  const week = weekKey();
+  let hw = homework[guildId];
+  if (!hw || hw.week !== week) {
+    hw = homework[guildId] = { week, users: {} };
+    persist('homework', homework);
+  }
+  return hw;
+}
+
+function resetHomeworkIfNeeded() {
+  for (const guildId of Object.keys(homework)) guildHomework(guildId);
+}
+
+function isHomeworkDone(guildId, userId, charName, raidId) {
+  return Boolean(guildHomework(guildId).users[userId]?.[charName]?.includes(raidId));
+}
+
+// 체크 ↔ 해제, 결과: 체크 여부
+function toggleHomework(guildId, userId, charName, raidId) {
+  const hw = guildHomework(guildId);
+  const user = (hw.users[userId] ??= {});
+  const list = user[charName] || [];
+  const done = !list.includes(raidId);
+  user[charName] = done ? [...list, raidId] : list.filter((id) => id !== raidId);
+  if (!user[charName].length) delete user[charName];
+  persist('homework', homework);
+  return done;
+}
+
+// 레벨 높은 순 상위 캐릭터 + 캐릭터별 숙제 레이드
+function homeworkChars(chars) {
+  return [...chars]
+    .sort((a, b) => toLevelNum(b.ItemAvgLevel) - toLevelNum(a.ItemAvgLevel))
+    .map((c) => ({
+      name: c.CharacterName,
+      raids: homeworkRaids(toLevelNum(c.ItemAvgLevel), HOMEWORK_RAIDS_PER_CHAR),
+    }))
+    .filter((c) => c.raids.length)
+    .slice(0, HOMEWORK_MAX_CHARS);
+}
+
+const raidLabel = (r) => `${r.name}(${r.difficulty.slice(0, 1)})`;
+
+const HOMEWORK_TITLE = '📝 주간 숙제';
+
+// 마지막 줄에 다음 초기화 시각 (디스코드 타임스탬프는 제목/필드명에서는 표시되지 않음)
+function formatHomework(guildId, userId, hwChars) {
+  const lines = hwChars.map((c) => {
+    const marks = c.raids.map((r) =>
+      `${isHomeworkDone(guildId, userId, c.name, r.id) ? '✅' : '⬜'}${raidLabel(r)}`,
+    );
+    return `**${c.name}** ${marks.join(' ')}`;
+  });
+  lines.push(`초기화: <t:${Math.floor(nextResetAt() / 1000)}:R>`);
+  return lines.join('\n');
+}
+
+// 버튼 1개 = 캐릭터 × 레이드, 한 줄에 5개씩
+function buildHomeworkRows(guildId, userId, hwChars) {
+  const buttons = hwChars.flatMap((c) =>
+    c.raids.map((r) => {
+      const done = isHomeworkDone(guildId, userId, c.name, r.id);
+      return new ButtonBuilder()
+        .setCustomId(`hw:${userId}:${r.id}:${c.name}`)
+        .setLabel(`${c.name} · ${raidLabel(r)}`)
+        .setStyle(done ? ButtonStyle.Success : ButtonStyle.Secondary);
+    }),
+  ).slice(0, HOMEWORK_MAX_BUTTON_ROWS * 5);
+
+  const rows = [];
+  for (let k = 0; k < buttons.length; k += 5) {
+    rows.push(new ActionRowBuilder().addComponents(buttons.slice(k, k + 5)));
+  }
+  return rows;
+}
+
+// /homework list 용 (숙제만 있는 에페메랄 뷰)
+async function buildHomeworkView(guildId, userId, main) {
+  const chars = await getSiblings(main);
+  const hwChars = homeworkChars(Array.isArray(chars) ? chars : []);
+  const embed = new EmbedBuilder()
+    .setTitle(HOMEWORK_TITLE)
+    .setDescription(hwChars.length
+      ? formatHomework(guildId, userId, hwChars)
+      : '숙제 대상 레이드에 입장 가능한 캐릭터가 없습니다.')
+    .setColor(0x2ecc71);
+  return { embeds: [embed], components: buildHomeworkRows(guildId, userId, hwChars) };
+}
+
+// 길드 전체: 숙제가 남은 사람 먼저, 남은 개수 많은 순
+async function buildHomeworkSummaryEmbed(guildId) {
+  const members = Object.entries(links[guildId] || {}).filter(([, info]) => info?.main);
+  const rows = await mapLimit(members, API_CONCURRENCY, async ([userId, info]) => {
+    const chars = await getSiblings(info.main).catch(() => null);
+    if (!Array.isArray(chars)) return { userId, err: true };
+    const hwChars = homeworkChars(chars);
+    const left = hwChars
+      .map((c) => ({
+        name: c.name,
+        raids: c.raids.filter((r) => !isHomeworkDone(guildId, userId, c.name, r.id)),
+      }))
+      .filter((c) => c.raids.length);
+    const total = hwChars.reduce((n, c) => n + c.raids.length, 0);
+    const remaining = left.reduce((n, c) => n + c.raids.length, 0);
+    return { userId, total, remaining, left };
+  });
+
+  const pending = rows.filter((r) => !r.err && r.remaining > 0)
+    .sort((a, b) => b.remaining - a.remaining);
+  const finished = rows.filter((r) => !r.err && r.total > 0 && r.remaining === 0);
+
+  const lines = pending.map((r) =>
+    `• <@${r.userId}> — 남은 숙제 **${r.remaining}**/${r.total} · ` +
+    r.left.map((c) => `${c.name}(${c.raids.map((x) => x.name).join(', ')})`).join(' / '),
+  );
+  let description = lines.length ? lines.join('\n') : '🎉 모든 등록자가 이번 주 숙제를 끝냈습니다!';
+  if (description.length > 4000) description = `${description.slice(0, 3990)}\n…`;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📝 길드 주간 숙제 현황 (${guildHomework(guildId).week} 주차)`)
+    .setDescription(description)
+    .setColor(0x2ecc71);
+  if (finished.length) {
+    embed.addFields({
+      name: `✅ 완료 (${finished.length}명)`,
+      value: finished.map((r) => `<@${r.userId}>`).join(' ').slice(0, 1024),
+    });
+  }
+  return embed;
+}
+
+// ===================== 캐릭터 상세 (탭) =====================
+const DETAIL_TABS = [
+  { key: 'summary',    label: '요약',   emoji: '🔍' },
+  { key: 'equipment',  label: '장비',   emoji: '🛡' },
+  { key: 'engravings', label: '각인',   emoji: '📜' },
+  { key: 'gems',       label: '보석',   emoji: '💎' },
+  { key: 'cards',      label: '카드',   emoji: '🃏' },
+  { key: 'skills',     label: '스킬',   emoji: '✨' },
+];
+
+// 탭별 조회 + 텍스트 변환
+const DETAIL_TAB_LOADERS = {
+  equipment:  async (name) => formatEquipment(await getEquipment(name)),
+  engravings: async (name) => formatEngravings(await getEngravings(name)),
+  gems:       async (name) => formatGems(await getGems(name)),
+  cards:      async (name) => formatCards(await getCards(name)),
+  skills:     async (name) => formatSkills(await getCombatSkills(name)),
+};
+
+function buildDetailTabRow(customId, name, activeTab) {
+  const select = new StringSelectMenuBuilder()
+    .setCustomId(customId)
+    .setPlaceholder(`${name} 상세 항목 선택`)
+    .addOptions(DETAIL_TABS.map((t) => ({
+      label: t.label,
+      value: t.key,
+      emoji: t.emoji,
+      default: t.key === activeTab,
+    })));
+  return new ActionRowBuilder().addComponents(select);
+}
+
+async function buildCharacterDetailEmbed(name, tab = 'summary') {
+  const tabInfo = DETAIL_TABS.find((t) => t.key === tab) || DETAIL_TABS[0];
+  if (tabInfo.key !== 'summary') {
+    const lines = await DETAIL_TAB_LOADERS[tabInfo.key](name);
+    return new EmbedBuilder()
+      .setTitle(`${tabInfo.emoji} ${name} ${tabInfo.label}`)
+      .setDescription(joinLines(lines))
+      .setColor(0x3498db);
+  }
+
+  const profile = await getProfile(name);
+  const ark     = await getArkPassive(name);
+
+  const p = profile?.ArmoryProfile || profile;
+
+  const itemLevel = p?.ItemAvgLevel || '알 수 없음';
+
+  // 전투력
+  let combatPowerText = '정보 없음';
+  if (p?.CombatPower != null) {
+    const raw  = String(p.CombatPower).replace(/,/g, '');
+    const cpNum = Number(raw);
+    combatPowerText = Number.isFinite(cpNum)
+      ? cpNum.toLocaleString('ko-KR')
+      : String(p.CombatPower);
+  }
+
+  const cls    = p?.CharacterClassName || '직업 정보 없음';
+  const server = p?.ServerName || '서버 정보 없음';
+  const img    = p?.CharacterImage || null;
+
+  recordProfile(name, p);
+
+  // 아크 패시브 (빌드 시그니처 + 포인트 + 진화/깨달음/도약 노드)
+  let arkPassiveText = '등록된 아크 패시브가 없습니다.';
+  try {
+    arkPassiveText = joinLines(formatArkPassive(ark, { detail: true }).split('\n'), 1000);
+  } catch (e2) {
+    console.error('ark passive detail error:', e2?.response?.data || e2);
+  }
+
+  const detailEmbed = new EmbedBuilder()
+    .setTitle(`🔍 ${name} 상세 정보`)
+    .setDescription(`${server} 서버 • ${cls}`)
+    .addFields(
+      { name: '아이템 레벨', value: String(itemLevel),   inline: true },
+      { name: '전투력',      value: combatPowerText,     inline: true },
+      { name: '아크 패시브', value: arkPassiveText || '정보 없음' },
+    )
+    .setColor(0x3498db);
+
+  if (img) {
+    // 상세 보기에서는 아래에 크게
+    detailEmbed.setImage(img);
+  }
+  return detailEmbed;
+}
+
+// ===================== 자동완성 =====================
+const AUTOCOMPLETE_TIMEOUT_MS = 1500; // 3초 안에 응답해야 하므로 로스터 조회는 이만큼만 기다림
+// 내 로스터 대표만 고르는 옵션
+const ROSTER_OPTIONS = {
+  'link-verify': ['name'], unlink: ['name'], 'roster-primary': ['name'], mychars: ['roster'], 'mychars-pin': ['roster'],
+  'mychars-unpin': ['roster'],
+};
+// 아무 캐릭터나 고르는 옵션 (내 캐릭터 먼저)
+const CHARACTER_OPTIONS = {
+  link: ['name'], lookup: ['name'], compare: ['a', 'b'], progress: ['character'],
+};
+
+async function handleAutocomplete(i) {
+  const focused = i.options.getFocused(true);
+  const link = getLink(i.guildId, i.user.id);
+
+  if (ROSTER_OPTIONS[i.commandName]?.includes(focused.name)) {
+    const own = linkRosters(link).map((r) => r.main);
+    return i.respond(rankCharacterChoices(focused.value, { own, info: characterIndex }));
+  }
+  if (i.commandName === 'market') {
+    const q = focused.value.trim();
+    const items = market.watches
+      .filter((w) => w.guildId === i.guildId && w.userId === i.user.id && w.item.includes(q))
+      .map((w) => ({ name: w.item, value: w.item }));
+    return i.respond(items.slice(0, 25));
+  }
+  if (!CHARACTER_OPTIONS[i.commandName]?.includes(focused.name)) return i.respond([]);
+
+  // 캐시된 형제 목록 (오래된 값도 바로 사용), 느리면 본 적 있는 이름만으로
+  const timeout = wait(AUTOCOMPLETE_TIMEOUT_MS).then(() => []);
+  const mine = await Promise.race([linkedCharacters(i.guildId, i.user.id), timeout]);
+  const own = [...mine]
+    .sort((a, b) => toLevelNum(b.ItemAvgLevel) - toLevelNum(a.ItemAvgLevel))
+    .map((c) => c.CharacterName);
+  return i.respond(rankCharacterChoices(focused.value, { own, known: characterIndex.keys(), info: characterIndex }));
+}
+
+// ===================== 캐릭터 조회 / 비교 =====================
+// 연결 여부와 상관없이: root 의 원정대 목록 + 선택한 캐릭터 상세(탭), ownerId 는 드롭다운을 바꿀 수 있는 사람
+async function buildLookupView(ownerId, root, selected = root, tab = 'summary') {
+  const chars = await getSiblings(root);
+  if (!Array.isArray(chars) || !chars.length) return null;
+  const sorted = [...chars].sort((a, b) => toLevelNum(b.ItemAvgLevel) - toLevelNum(a.ItemAvgLevel));
+  recordSiblings(sorted);
+
+  const rosterEmbed = new EmbedBuilder()
+    .setTitle(`📋 ${root} 원정대`)
+    .setDescription(joinLines(sorted.map((c) =>
+      `• **${c.CharacterName}** (${c.CharacterClassName}) — ${c.ServerName} | 아이템 레벨 ${c.ItemAvgLevel}`,
+    )))
+    .setColor(0x00ae86);
+  const detailEmbed = await buildCharacterDetailEmbed(selected, tab);
+
+  const select = new StringSelectMenuBuilder()
+    .setCustomId(`lookup-char:${ownerId}:${root}`)
+    .setPlaceholder('자세히 볼 캐릭터 선택')
+    .addOptions(sorted.slice(0, 25).map((c) => ({
+      label: c.CharacterName,
+      description: `${c.CharacterClassName} • ${c.ItemAvgLevel}`,
+      value: c.CharacterName,
+      default: c.CharacterName === selected,
+    })));
+  return {
+    content: '',
+    embeds: [rosterEmbed, detailEmbed],
+    components: [
+      new ActionRowBuilder().addComponents(select),
+      buildDetailTabRow(`lookup-tab:${ownerId}:${root}:${selected}`, selected, tab),
+    ],
+  };
+}
+
+async function loadCompareSide(name) {
+  const [profile, ark, equipment] = await Promise.all([
+    getProfile(name),
+    getArkPassive(name).catch(() => null),
+    getEquipment(name).catch(() => null),
+  ]);
+  const p = profile?.ArmoryProfile || profile;
+  if (!p) return null;
+  recordProfile(name, p);
+  return { name, profile: p, ark, equipment };
+}
+
+// 결과: { embed } 또는 { missing: [찾지 못한 이름] }
+async function buildCompareEmbed(nameA, nameB) {
+  const [a, b] = await Promise.all([loadCompareSide(nameA), loadCompareSide(nameB)]);
+  const missing = [[nameA, a], [nameB, b]].filter(([, side]) => !side).map(([n]) => n);
+  if (missing.length) return { missing };
+
+  const head = (side, mark) =>
+    `${mark} **${side.name}** — ${side.profile.ServerName ?? '?'} • ${side.profile.CharacterClassName ?? '?'}`;
+  const embed = new EmbedBuilder()
+    .setTitle(`⚖️ ${a.name} vs ${b.name}`)
+    .setDescription(joinLines([head(a, '🅰'), head(b, '🅱'), '', ...compareLines(a, b)]))
+    .setFooter({ text: '▲▼ 는 왼쪽(🅰) 기준' })
+    .setColor(0x3498db);
+  return { embed };
+}
+
+// ===================== 레이드 모집 =====================
+const findParty = (id) => raidParties.find((p) => p.id === id);
+
+function raidTitle(party) {
+  const raid = getRaid(party.raidId);
+  const diff = raid?.difficulties.find((d) => d.key === party.difficulty);
+  return `${raid?.name ?? party.raidId} ${diff?.label ?? ''}`.trim();
+}
+
+function renderRaidParty(party) {
+  const slots = roleSlots(party.size);
+  const start = Math.floor(party.startAt / 1000);
+  const line = (m, idx) =>
+    `${idx + 1}. <@${m.userId}> **${m.charName}** (${m.className} ${m.itemLevel})`;
+  const roleField = (role, emoji) => {
+    const list = membersOf(party, role);
+    return {
+      name: `${emoji} ${ROLE_LABELS[role]} (${list.length}/${slots[role]})`,
+      value: list.length ? list.map(line).join('\n') : '-',
+      inline: true,
+    };
+  };
+
+  const status = party.cancelled ? ' — ❌ 취소됨' : party.closed ? ' — 마감' : '';
+  const embed = new EmbedBuilder()
+    .setTitle(`⚔ ${raidTitle(party)} 모집${status}`)
+    .setDescription(
+      `입장 레벨 **${party.minLevel}+** • 모집장 <@${party.creatorId}>\n` +
+      `시작: <t:${start}:F> (<t:${start}:R>)`,
+    )
+    .addFields(roleField('dealer', '🗡'), roleField('support', '🛡'))
+    .setFooter({ text: `${RAID_TAG} ${party.id}` })
+    .setColor(party.cancelled ? 0x95a5a6 : 0xe74c3c);
+  if (party.waitlist.length) {
+    embed.addFields({
+      name: `⏳ 대기 (${party.waitlist.length})`,
+      value: party.waitlist
+        .map((m, idx) => `${idx + 1}. <@${m.userId}> ${m.charName} · ${ROLE_LABELS[m.role]}`)
+        .join('\n')
+        .slice(0, 1024),
+    });
+  }
+
+  const disabled = Boolean(party.closed || party.cancelled);
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`raid-join:${party.id}:dealer`)
+      .setLabel('딜러 참가').setEmoji('🗡').setStyle(ButtonStyle.Primary).setDisabled(disabled),
+    new ButtonBuilder().setCustomId(`raid-join:${party.id}:support`)
+      .setLabel('서포터 참가').setEmoji('🛡').setStyle(ButtonStyle.Success).setDisabled(disabled),
+    new ButtonBuilder().setCustomId(`raid-leave:${party.id}`)
+      .setLabel('참가 취소').setStyle(ButtonStyle.Secondary).setDisabled(disabled),
+    new ButtonBuilder().setCustomId(`raid-cancel:${party.id}`)
+      .setLabel('모집 취소').setStyle(ButtonStyle.Danger).setDisabled(disabled),
+  );
+  return { embeds: [embed], components: [row] };
+}
+
+async function updateRaidMessage(party) {
+  const ch = await client.channels.fetch(party.channelId);
+  await ch.messages.edit(party.messageId, renderRaidParty(party));
 }
 
-function addBoard(channelId, messageId) {
-  const key = boardsKey(channelId, messageId);
-  if (boardsSet.has(key)) return;
-  boards.push({ channelId, messageId });
-  boardsSet.add(key);
-  saveJSON(BOARDS_PATH, boards);
+async function announcePromotion(party, promoted) {
+  if (!promoted) return;
+  const ch = await client.channels.fetch(party.channelId).catch(() => null);
+  await ch?.send({
+    content: `📢 <@${promoted.userId}> 대기 → **${raidTitle(party)}** ${ROLE_LABELS[promoted.role]} 참가로 올라갔습니다.`,
+    allowedMentions: { users: [promoted.userId] },
+  }).catch((e) => console.error('raid promotion notice error:', e?.rawError ?? e));
 }
 
-async function discoverBoards() {
-  const guild = await client.guilds.fetch(process.env.GUILD_ID);
-  const chans = await guild.channels.fetch();
-  let found = 0;
-  for (const [, ch] of chans) {
-    if (!ch || ch.type !== ChannelType.GuildText) continue;
-    let msgs = null;
-    try {
-      msgs = await ch.messages.fetch({ limit: SCAN_LIMIT_PER_CHANNEL });
-    } catch {
-      continue;
+async function handleRaidInteraction(i) {
+  const [action, partyId, role] = i.customId.split(':');
+  const party = findParty(partyId);
+  if (!party) {
+    return i.reply({ content: 'ℹ️ 이미 종료되었거나 없는 모집입니다.', flags: EPHEMERAL });
+  }
+  if ((party.closed || party.cancelled) && action !== 'raid-leave') {
+    return i.reply({ content: 'ℹ️ 마감된 모집입니다.', flags: EPHEMERAL });
+  }
+
+  // 참가 버튼 → 조건을 만족하는 내 캐릭터만 선택지로
+  if (action === 'raid-join') {
+    if (!getLink(i.guildId, i.user.id)?.main) {
+      return i.reply({ content: '먼저 `/link [캐릭터명]` 으로 연결해주세요.', flags: EPHEMERAL });
     }
-    for (const [, m] of msgs) {
-      if (m.author?.id !== client.user.id) continue;
-      if (!hasBoardMarker(m)) continue;
-      addBoard(ch.id, m.id);
-      found++;
+    await i.deferReply({ flags: EPHEMERAL });
+    const eligible = (await linkedCharacters(i.guildId, i.user.id))
+      .filter((c) => toLevelNum(c.ItemAvgLevel) >= party.minLevel)
+      .filter((c) => role !== 'support' || isSupportClass(c.CharacterClassName))
+      .sort((a, b) => toLevelNum(b.ItemAvgLevel) - toLevelNum(a.ItemAvgLevel))
+      .slice(0, 25);
+    if (!eligible.length) {
+      return i.editReply(
+        `❌ ${ROLE_LABELS[role]}로 참가할 수 있는 캐릭터가 없습니다. (입장 레벨 ${party.minLevel}+` +
+        `${role === 'support' ? ', 서포터 클래스' : ''})`,
+      );
+    }
+    const select = new StringSelectMenuBuilder()
+      .setCustomId(`raid-pick:${party.id}:${role}`)
+      .setPlaceholder(`${ROLE_LABELS[role]}로 참가할 캐릭터 선택`)
+      .addOptions(eligible.map((c) => ({
+        label: c.CharacterName,
+        description: `${c.CharacterClassName} • ${c.ItemAvgLevel}`,
+        value: c.CharacterName,
+      })));
+    return i.editReply({ components: [new ActionRowBuilder().addComponents(select)] });
+  }
+
+  // 캐릭터 선택 → 참가 (자리가 없으면 대기)
+  if (action === 'raid-pick') {
+    // 형제 목록 조회가 느릴 수 있으므로 먼저 응답 예약 (3초 제한)
+    await i.deferUpdate();
+    const chars = await linkedCharacters(i.guildId, i.user.id);
+    const c = chars.find((x) => x.CharacterName === i.values[0]);
+    // 참가 버튼과 같은 조건 다시 확인 (오래된/조작된 선택 방지)
+    if (
+      !c
+      || toLevelNum(c.ItemAvgLevel) < party.minLevel
+      || (role === 'support' && !isSupportClass(c.CharacterClassName))
+    ) {
+      return i.editReply({ content: '❌ 선택한 캐릭터로는 참가할 수 없습니다.', components: [] });
     }
+    const { status, promoted } = joinParty(party, {
+      userId: i.user.id,
+      role,
+      charName: c.CharacterName,
+      className: c.CharacterClassName,
+      itemLevel: c.ItemAvgLevel,
+    });
+    persist('raids', raidParties);
+    await updateRaidMessage(party);
+    await announcePromotion(party, promoted);
+    return i.editReply({
+      content: status === 'joined'
+        ? `✅ **${c.CharacterName}** 으로 ${ROLE_LABELS[role]} 참가했습니다.`
+        : `⏳ ${ROLE_LABELS[role]} 자리가 가득 차 대기 명단에 올렸습니다.`,
+      components: [],
+    });
+  }
+
+  if (action === 'raid-leave') {
+    const { removed, promoted } = leaveParty(party, i.user.id);
+    if (!removed) {
+      return i.reply({ content: 'ℹ️ 이 모집에 참가하지 않았습니다.', flags: EPHEMERAL });
+    }
+    persist('raids', raidParties);
+    await i.update(renderRaidParty(party));
+    await announcePromotion(party, promoted);
+    return;
+  }
+
+  if (action === 'raid-cancel') {
+    const canManage = i.memberPermissions?.has(PermissionFlagsBits.ManageMessages);
+    if (i.user.id !== party.creatorId && !canManage) {
+      return i.reply({ content: '🙅 모집장만 취소할 수 있습니다.', flags: EPHEMERAL });
+    }
+    party.cancelled = true;
+    persist('raids', raidParties);
+    await i.update(renderRaidParty(party));
   }
-  console.log(`🔎 discoverBoards: ${found} boards found (managed total=${boards.length})`);
-  return found;
 }
 
-async function refreshAllBoards() {
-  console.log(`[REFRESH_ALL] count=${boards.length}`);
-  for (const b of boards) {
-    await wait(EDIT_DELAY_MS);
+// 시작 전 참가자 호출 / 시작 시 마감 / 오래된 모집 정리
+async function checkRaidParties() {
+  const now = Date.now();
+  let changed = false;
+
+  for (const party of raidParties) {
+    if (party.cancelled) continue;
     try {
-      const ch = await client.channels.fetch(b.channelId).catch(() => null);
-      if (!ch) {
-        console.error('[EDIT FAIL] channel not found', b.channelId);
-        continue;
+      if (!party.reminded && now >= party.startAt - RAID_REMIND_BEFORE_MS) {
+        party.reminded = true;
+        changed = true;
+        const ids = party.members.map((m) => m.userId);
+        if (ids.length) {
+          const ch = await client.channels.fetch(party.channelId);
+          await ch.send({
+            content: `⏰ ${ids.map((id) => `<@${id}>`).join(' ')}\n` +
+              `**${raidTitle(party)}** 시작 <t:${Math.floor(party.startAt / 1000)}:R> 입니다!`,
+            allowedMentions: { users: ids },
+          });
+        }
       }
-      const msg = await ch.messages.fetch(b.messageId).catch(() => null);
-      if (!msg) {
-        console.error('[EDIT FAIL] message not found', b.channelId, b.messageId);
-        continue;
+      if (!party.closed && now >= party.startAt) {
+        party.closed = true;
+        changed = true;
+        await updateRaidMessage(party);
       }
-      const embed = await buildBoardEmbed();
-      await msg.edit({ embeds: [embed] });
     } catch (e) {
-      console.error('[EDIT FAIL]', b.channelId, b.messageId, e?.rawError ?? e);
+      console.error('[RAID FAIL]', party.id, e?.rawError ?? e);
     }
   }
+
+  const before = raidParties.length;
+  raidParties = raidParties.filter((p) => now < p.startAt + RAID_KEEP_AFTER_MS);
+  if (changed || before !== raidParties.length) persist('raids', raidParties);
 }
 
-// ===================== 공용 보드 임베드 =====================
-async function buildBoardEmbed() {
-  const ids = Object.keys(links);
-  let description = '';
-  if (ids.length === 0) {
-    description = '등록된 유저가 없습니다. `/link 캐릭터명`으로 등록하세요.';
+let raidTimer = null;
+function startRaidScheduler() {
+  if (raidTimer) clearInterval(raidTimer);
+  raidTimer = setInterval(() => {
+    checkRaidParties().catch((e) => console.error('raid scheduler error:', e));
+  }, RAID_CHECK_INTERVAL_MS);
+}
+
+// ===================== 공지 / 일정 피드 =====================
+const FEED_SOURCES = { notices: '/news/notices', events: '/news/events' };
+let feedTimer = null;
+let lastFeedPollAt = 0;
+
+// 새 글만 돌려주고 본 키는 저장 (재시작해도 중복 게시 X)
+async function pollFeedItems(kind) {
+  const items = await cachedGet(FEED_SOURCES[kind], TICK_FETCH);
+  const seen = feeds.seen[kind];
+  // 처음이면 기준만 저장 (예전 글을 한꺼번에 올리지 않음)
+  if (!seen) {
+    feeds.seen[kind] = rememberKeys([], Array.isArray(items) ? items : []);
+    persist('feeds', feeds);
+    return [];
+  }
+  const fresh = unseenItems(items, seen);
+  if (fresh.length) {
+    feeds.seen[kind] = rememberKeys(seen, fresh);
+    persist('feeds', feeds);
+  }
+  return fresh;
+}
+
+const feedDate = (s) => (s ? String(s).slice(0, 16).replace('T', ' ') : '?');
+
+function feedItemEmbed(kind, it) {
+  const embed = new EmbedBuilder()
+    .setTitle(`${kind === 'events' ? '🎉' : '📢'} ${it.Title ?? '(제목 없음)'}`.slice(0, 256))
+    .setColor(kind === 'events' ? 0xe67e22 : 0x2980b9);
+  if (it.Link) embed.setURL(it.Link);
+  if (kind === 'events') {
+    embed.setDescription(`기간: ${feedDate(it.StartDate)} ~ ${feedDate(it.EndDate)}`);
+    if (it.Thumbnail) embed.setThumbnail(it.Thumbnail);
   } else {
-    const rows = [];
-    for (const userId of ids) {
-      const main = links[userId]?.main;
-      if (!main) continue;
-      try {
-        await wait(API_DELAY_PER_USER_MS);
-        const chars = await getSiblings(main, { force: true });
-        if (!chars?.length) {
-          rows.push({ userId, err: `${main}: ❌ 조회 실패` });
-          continue;
-        }
-        const best = chars.reduce((a, b) =>
-          toLevelNum(a.ItemAvgLevel) >= toLevelNum(b.ItemAvgLevel) ? a : b,
-        );
-        rows.push({
-          userId,
-          name: best.CharacterName,
-          cls: best.CharacterClassName,
-          levelStr: best.ItemAvgLevel,
-          levelNum: toLevelNum(best.ItemAvgLevel),
-        });
-      } catch {
-        rows.push({ userId, err: `${main}: ❌ 오류` });
+    embed.setFooter({ text: `${it.Type ?? '공지'} • ${feedDate(it.Date)}` });
+  }
+  return embed;
+}
+
+async function sendFeed(kind, embeds) {
+  for (const [guildId, sub] of Object.entries(feeds.subscriptions)) {
+    if (!sub.kinds.includes(kind)) continue;
+    try {
+      const ch = await client.channels.fetch(sub.channelId).catch(() => null);
+      if (!ch) {
+        console.error('[FEED FAIL] channel not found', guildId, sub.channelId);
+        continue;
       }
+      // 메시지 하나에 embed 최대 10개
+      for (let k = 0; k < embeds.length; k += 10) await ch.send({ embeds: embeds.slice(k, k + 10) });
+      console.log('[FEED OK]', guildId, kind, `count=${embeds.length}`);
+    } catch (e) {
+      console.error('[FEED FAIL]', guildId, kind, e?.rawError ?? e);
     }
-    rows.sort((a, b) => (b.levelNum || 0) - (a.levelNum || 0));
-    description = rows
-      .map((r) =>
-        r.err
-          ? `• **<@${r.userId}>** — ${r.err}`
-          : `• **<@${r.userId}>** — **${r.name}** (${r.cls}) | ${r.levelStr}`,
-      )
-      .join('\n');
   }
-  return new EmbedBuilder()
-    .setTitle('서버 현황판 (등록자 기준)')
-    .setDescription(description)
-    .setFooter({
-      text: `${BOARD_TAG} 마지막 갱신: ${new Date().toLocaleString('ko-KR', {
-        timeZone: 'Asia/Seoul',
-      })}`,
-    })
-    .setColor(0xffd700);
 }
 
-// ===== 개인 임베드 + 드롭다운 뷰 (메인 카드에는 이미지 X) =====
-async function buildPersonalView(userId, mainName, channelId) {
-  // 1) 형제 캐릭터 목록
-  const chars = await getSiblings(mainName, { force: true });
-  const sorted = [...chars].sort((a, b) => toLevelNum(b.ItemAvgLevel) - toLevelNum(a.ItemAvgLevel));
+async function checkFeeds(now = Date.now()) {
+  const subs = Object.entries(feeds.subscriptions);
+  if (!subs.length) return;
 
-  const lines = sorted.map((c) =>
-    `• **${c.CharacterName}** (${c.CharacterClassName}) — ${c.ServerName} | 아이템 레벨 ${c.ItemAvgLevel}`,
-  );
+  if (now - lastFeedPollAt >= FEED_POLL_INTERVAL_MS) {
+    lastFeedPollAt = now;
+    for (const kind of Object.keys(FEED_SOURCES)) {
+      if (!subs.some(([, s]) => s.kinds.includes(kind))) continue;
+      try {
+        const fresh = await pollFeedItems(kind);
+        if (fresh.length) await sendFeed(kind, fresh.map((it) => feedItemEmbed(kind, it)));
+      } catch (e) {
+        console.error('[FEED FAIL]', kind, e?.response?.status ?? e?.rawError ?? e);
+      }
+    }
+  }
 
-  const mainChar = sorted[0];
+  // 오늘의 일정: 길드마다 설정한 시각이 지나면 하루 한 번
+  const due = subs.filter(([, s]) => s.kinds.includes('calendar') && isCalendarDue(s, now));
+  if (!due.length) return;
+  const dateKey = kstDateKey(now);
+  const calendar = await cachedGet('/gamecontents/calendar');
+  const embed = new EmbedBuilder()
+    .setTitle(`📅 ${dateKey} 오늘의 일정`)
+    .setDescription(joinLines(formatSchedule(scheduleForDay(calendar, dateKey))))
+    .setColor(0x27ae60);
+  for (const [guildId, sub] of due) {
+    // 실패해도 오늘은 다시 시도하지 않음 (채널이 없으면 1분마다 실패하므로)
+    sub.lastCalendarDate = dateKey;
+    try {
+      const ch = await client.channels.fetch(sub.channelId).catch(() => null);
+      if (!ch) {
+        console.error('[FEED FAIL] channel not found', guildId, sub.channelId);
+        continue;
+      }
+      await ch.send({ embeds: [embed] });
+      console.log('[FEED OK]', guildId, 'calendar', dateKey);
+    } catch (e) {
+      console.error('[FEED FAIL]', guildId, 'calendar', e?.rawError ?? e);
+    }
+  }
+  persist('feeds', feeds);
+}
 
-  // 2) 메인캐릭 프로필 (전투력; 이미지는 메인 카드에서 사용 X)
-  let combatPowerText = '정보 없음';
+function startFeedScheduler() {
+  if (feedTimer) clearInterval(feedTimer);
+  feedTimer = setInterval(() => {
+    checkFeeds().catch((e) => console.error('feed scheduler error:', e));
+  }, FEED_CHECK_INTERVAL_MS);
+}
 
-  try {
-    const profile = await getProfile(mainChar.CharacterName, { force: true });
-    const p = profile?.ArmoryProfile || profile;
+// ===================== 거래소 시세 알림 =====================
+function recordPrice(category, quote) {
+  const key = watchKey(category, quote.name);
+  market.history[key] = pushPrice(market.history[key], quote.price);
+}
 
-    if (p?.CombatPower != null) {
-      const raw  = String(p.CombatPower).replace(/,/g, '');
-      const cpNum = Number(raw);
-      combatPowerText = Number.isFinite(cpNum)
-        ? cpNum.toLocaleString('ko-KR')
-        : String(p.CombatPower);
-    }
-  } catch (e) {
-    console.error('getProfile error:', e?.response?.data || e);
-    combatPowerText = '정보 없음';
+function buildMarketEmbed(category, quote) {
+  const list = market.history[watchKey(category, quote.name)] || [];
+  const spark = sparkline(list.map((p) => p.price));
+  const lines = [
+    `**최저가** ${formatGold(quote.price)}${quote.bundle > 1 ? ` (${quote.bundle}개 묶음)` : ''}`,
+  ];
+  if (quote.yesterday != null) lines.push(`**전일 평균** ${formatGold(quote.yesterday)}`);
+  if (spark) {
+    const prices = list.map((p) => p.price);
+    lines.push('', `\`${spark}\``, `최근 ${list.length}회 기록 · 최저 ${formatGold(Math.min(...prices))} · 최고 ${formatGold(Math.max(...prices))}`);
   }
+  const embed = new EmbedBuilder()
+    .setTitle(`💰 ${quote.name}`)
+    .setDescription(lines.join('\n'))
+    .setColor(0xf1c40f)
+    .setFooter({ text: MARKET_CATEGORIES[category].name });
+  if (quote.icon) embed.setThumbnail(quote.icon);
+  return embed;
+}
 
-  // 3) 메인캐릭 아크 패시브 (포인트만)
-  let arkPassiveText = '등록된 아크 패시브가 없습니다.';
-
+async function notifyWatch(w, quote) {
+  const text =
+    `🔔 **${quote.name}** 최저가 ${formatGold(quote.price)} — ` +
+    `설정한 기준 ${formatGold(w.threshold)} ${w.direction === 'above' ? '이상' : '이하'}에 도달했어요.`;
   try {
-    const ark = await getArkPassive(mainChar.CharacterName, { force: true });
-    console.log('[ArkPassive raw personal]', JSON.stringify(ark));
-    arkPassiveText = formatArkPassive(ark, { maxPoints: 3 });
+    const user = await client.users.fetch(w.userId);
+    await user.send(text);
+    console.log('[MARKET OK] dm', w.userId, quote.name, quote.price);
+    return;
   } catch (e) {
-    console.error('getArkPassive error:', e?.response?.data || e);
-    arkPassiveText = '정보 없음';
+    console.error('[MARKET FAIL] dm', w.userId, e?.rawError ?? e?.message ?? e);
   }
+  // DM 이 막혀 있으면 등록한 채널에서 호출
+  try {
+    const ch = await client.channels.fetch(w.channelId).catch(() => null);
+    if (!ch) return;
+    await ch.send({ content: `<@${w.userId}> ${text}`, allowedMentions: { users: [w.userId] } });
+    console.log('[MARKET OK] channel', w.channelId, quote.name, quote.price);
+  } catch (e) {
+    console.error('[MARKET FAIL] channel', w.channelId, e?.rawError ?? e);
+  }
+}
 
-  const displayName = await getDisplayName(userId, channelId);
+// MARKET_POLL_INTERVAL_MS 마다: 같은 아이템은 한 번만 조회 (호출 제한은 API 클라이언트 버킷이 지킴)
+async function checkMarketWatches() {
+  if (!market.watches.length) return;
+  const targets = new Map(); // watchKey -> { category, item }
+  for (const w of market.watches) targets.set(watchKey(w.category, w.item), { category: w.category, item: w.item });
 
-  // 4) 한 개의 embed에 텍스트만 (이미지 없음)
-  const embed = new EmbedBuilder()
-    .setTitle(`**${displayName}**님의 캐릭터 목록`)
-    .setDescription(lines.join('\n'))
-    .setColor(0x00ae86)
-    .setFooter({
-      text: `${BOARD_TAG} 개인 • 마지막 갱신: ${new Date().toLocaleString('ko-KR', {
-        timeZone: 'Asia/Seoul',
-      })}`,
-    })
-    .addFields(
-      { name: '⚔ 전투력 (메인캐릭)',      value: combatPowerText, inline: true },
-      { name: '🌌 아크 패시브 (메인캐릭)', value: arkPassiveText,  inline: false },
-    );
+  const quotes = new Map();
+  await mapLimit([...targets], API_CONCURRENCY, async ([key, { category, item }]) => {
+    try {
+      const quote = await getQuote(category, item, TICK_FETCH);
+      if (!quote) return;
+      quotes.set(key, quote);
+      recordPrice(category, quote);
+    } catch (e) {
+      console.error('[MARKET FAIL]', item, e?.response?.status ?? e?.message ?? e);
+    }
+  });
 
-  // 5) 드롭다운(캐릭 선택)
-  const select = new StringSelectMenuBuilder()
-    .setCustomId(`char-detail:${userId}`)
-    .setPlaceholder('자세히 볼 캐릭터 선택')
-    .addOptions(
-      sorted.slice(0, 25).map((c) => ({
-        label: c.CharacterName,
-        description: `${c.CharacterClassName} • ${c.ItemAvgLevel}`,
-        value: c.CharacterName,
-      })),
-    );
+  for (const w of market.watches) {
+    const quote = quotes.get(watchKey(w.category, w.item));
+    if (!quote) continue;
+    const { notify, hit } = checkWatch(w, quote.price);
+    w.hit = hit;
+    if (notify) await notifyWatch(w, quote);
+  }
+  // 감시하지 않고 오래된 아이템 기록은 정리
+  for (const key of Object.keys(market.history)) {
+    if (!targets.has(key) && Date.now() - (market.history[key].at(-1)?.ts ?? 0) > PRICE_RETENTION_MS) {
+      delete market.history[key];
+    }
+  }
+  persist('market', market);
+}
 
-  const row = new ActionRowBuilder().addComponents(select);
+let marketTimer = null;
+let marketRunning = false;
+function startMarketScheduler() {
+  if (marketTimer) clearInterval(marketTimer);
+  marketTimer = setInterval(async () => {
+    if (marketRunning) return;
+    marketRunning = true;
+    try {
+      await checkMarketWatches();
+    } catch (e) {
+      console.error('market scheduler error:', e);
+    } finally {
+      marketRunning = false;
+    }
+  }, MARKET_POLL_INTERVAL_MS);
+}
 
-  return { embeds: [embed], components: [row] };
+// ===================== 닉네임 자동 동기화 =====================
+// 템플릿 치환: {main} {class} {itemLevel} {server}
+function renderNicknameTemplate(template, vars) {
+  const out = template.replace(/\{(\w+)\}/g, (m, key) => (Object.hasOwn(vars, key) ? String(vars[key]) : m));
+  return truncateNickname(out.replace(/\s+/g, ' ').trim());
 }
 
-// /mychars 응답
-async function replyMyChars(i, mainName, isPublic = false) {
-  const view = await buildPersonalView(i.user.id, mainName, i.channelId);
-  const payload = { embeds: view.embeds, components: view.components };
-  if (!isPublic) payload.flags = EPHEMERAL;
+// 디스코드 32자 제한 (서로게이트 쌍이 잘리지 않도록 코드포인트 단위)
+function truncateNickname(name) {
+  const chars = [...name];
+  if (chars.length <= NICKNAME_MAX_LEN) return name;
+  return chars.slice(0, NICKNAME_MAX_LEN - 1).join('').trimEnd() + '…';
+}
 
-  if (i.replied || i.deferred) {
-    await i.editReply(payload).catch(async () => i.followUp(payload));
-  } else {
-    await i.reply(payload);
-  }
+async function buildNickname(template, main) {
+  const chars = await getSiblings(main);
+  const me = Array.isArray(chars)
+    ? chars.find((c) => c.CharacterName === main)
+    : null;
+  if (!me) return null;
+  return renderNicknameTemplate(template, {
+    main,
+    class: me.CharacterClassName || '',
+    itemLevel: me.ItemAvgLevel || '',
+    server: me.ServerName || '',
+  });
 }
 
-// 개인 고정 메시지(공개) 생성/업데이트 + 위치 저장
-// 👉 userId + mainName + channelId 조합마다 "별도의" 고정 메시지 관리
-async function ensurePersonalPinnedInChannel(channelId, userId, mainName) {
-  const ch = await client.channels.fetch(channelId);
+// 결과: 'updated' | 'unchanged' | 'skipped:<사유>'
+async function syncMemberNickname(guildId, userId) {
+  const template = guildSettings[guildId]?.nicknameTemplate;
+  if (!template) return 'skipped:no-template';
 
-  const cur = links[userId] || {};
-  let personals = Array.isArray(cur.personals) ? cur.personals : [];
+  const info = getLink(guildId, userId);
+  if (!info?.main) return 'skipped:no-main';
+  if (info.nicknameOptOut) return 'skipped:opt-out';
 
-  // 예전 single personal 필드가 있으면 1회 마이그레이션
-  if (cur.personal && !personals.length) {
-    personals.push({ ...cur.personal, main: cur.main || mainName });
+  const guild = await client.guilds.fetch(guildId);
+  const me = guild.members.me ?? await guild.members.fetchMe();
+  if (!me.permissions.has(PermissionFlagsBits.ManageNicknames)) {
+    return 'skipped:no-permission';
   }
 
-  // 해당 main + 채널 조합의 기존 레코드 찾기
-  let record = personals.find((p) => p.channelId === channelId && p.main === mainName);
-  let existing = null;
-  if (record) {
-    const och = await client.channels.fetch(record.channelId).catch(() => null);
-    existing = och ? await och.messages.fetch(record.messageId).catch(() => null) : null;
-  }
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) return 'skipped:not-member';
+  // 서버 소유자 / 봇보다 역할이 높은 멤버는 변경 불가
+  if (!member.manageable) return 'skipped:hierarchy';
 
-  const view = await buildPersonalView(userId, mainName, channelId);
+  const nickname = await buildNickname(template, info.main);
+  if (!nickname) return 'skipped:not-found';
+  if (member.nickname === nickname) return 'unchanged';
 
-  if (!existing) {
-    // 새 메시지 생성
-    const msg = await ch.send({ embeds: view.embeds, components: view.components });
-    const newRec = { main: mainName, channelId: ch.id, messageId: msg.id };
-    personals.push(newRec);
+  await member.setNickname(nickname, 'LOA 대표 캐릭터 닉네임 동기화');
+  return 'updated';
+}
 
-    links[userId] = { ...cur, main: cur.main || mainName, personals };
-    delete links[userId].personal; // 예전 필드 정리
-    saveJSON(LINKS_PATH, links);
-    return 'created';
-  } else {
-    // 기존 메시지 갱신
-    await existing.edit({ embeds: view.embeds, components: view.components });
-    record.channelId = ch.id;
-    record.messageId = existing.id;
+// ===================== 역할 자동 부여 =====================
+// 길드 전체 멤버 기준 변경 계획 (연결 해제된 멤버는 관리 역할 회수, 조회 실패한 멤버는 보류)
+const membersLoaded = new Set(); // 전체 멤버를 한 번 불러온 길드
 
-    links[userId] = { ...cur, personals };
-    delete links[userId].personal;
-    saveJSON(LINKS_PATH, links);
-    return 'updated';
+async function planGuildRoles(guildId) {
+  const config = guildSettings[guildId]?.roles;
+  if (!config || !managedRoleIds(config).size) return null;
+
+  const guild = await client.guilds.fetch(guildId);
+  // 전체 조회는 길드마다 한 번, 이후는 GuildMembers 이벤트로 유지되는 캐시 사용
+  if (!membersLoaded.has(guildId)) {
+    await guild.members.fetch();
+    membersLoaded.add(guildId);
   }
+  const humans = [...guild.members.cache.values()].filter((m) => !m.user.bot);
+  const members = await mapLimit(humans, API_CONCURRENCY, async (m) => {
+    const roleIds = [...m.roles.cache.keys()];
+    const main = getLink(guildId, m.id)?.main;
+    if (!main) return { userId: m.id, roleIds, best: null };
+    const chars = await getSiblings(main).catch(() => null);
+    if (!Array.isArray(chars) || !chars.length) return { userId: m.id, known: false };
+    const best = chars.reduce((a, b) =>
+      toLevelNum(a.ItemAvgLevel) >= toLevelNum(b.ItemAvgLevel) ? a : b,
+    );
+    return {
+      userId: m.id,
+      roleIds,
+      best: { className: best.CharacterClassName, level: toLevelNum(best.ItemAvgLevel) },
+    };
+  });
+
+  // 봇보다 높은 역할 / 사라진 역할은 건드릴 수 없음
+  const blocked = new Set(
+    [...managedRoleIds(config)].filter((id) => !guild.roles.cache.get(id)?.editable),
+  );
+  return { guild, config, plan: planRoleChanges(config, members), blocked };
 }
 
-// ===================== 자동 갱신 루프 =====================
-let refreshTimer = null;
-function startAutoRefresh() {
-  if (refreshTimer) clearInterval(refreshTimer);
-  const tick = async () => {
-    console.log('[TICK]', new Date().toISOString(), `managedBoards=${boards.length}`);
+async function syncGuildRoles(guildId) {
+  const planned = await planGuildRoles(guildId);
+  if (!planned) return;
+  const { guild, plan, blocked } = planned;
+  if (blocked.size) console.error('[ROLE SKIP] not editable', guildId, [...blocked]);
+
+  for (const { userId, add, remove } of plan) {
+    const member = guild.members.cache.get(userId);
+    const toAdd = add.filter((id) => !blocked.has(id));
+    const toRemove = remove.filter((id) => !blocked.has(id));
+    if (!member || (!toAdd.length && !toRemove.length)) continue;
     try {
-      await refreshAllBoards();
-      await refreshAllPersonalOnce();
+      if (toRemove.length) await member.roles.remove(toRemove, 'LOA 아이템 레벨/직업 역할 동기화');
+      if (toAdd.length) await member.roles.add(toAdd, 'LOA 아이템 레벨/직업 역할 동기화');
+      console.log('[ROLE OK]', guildId, userId, `+${toAdd.length} -${toRemove.length}`);
     } catch (e) {
-      console.error('auto refresh error:', e);
+      console.error('[ROLE FAIL]', guildId, userId, e?.rawError ?? e);
     }
-  };
-  tick(); // 즉시 1회
-  refreshTimer = setInterval(tick, REFRESH_INTERVAL_MS);
-  console.log('⏱️ 자동 갱신 시작 (1분 간격)');
+  }
 }
 
-async function refreshAllPersonalOnce() {
-  const entries = Object.entries(links);
-  for (const [userId, info] of entries) {
-    let personals = Array.isArray(info?.personals) ? info.personals : [];
-
-    // 예전 single personal → array 마이그레이션
-    if (info?.personal && !personals.length) {
-      personals = [{ ...info.personal, main: info.main }];
+// guildIds: 이번 tick 에 갱신할 길드 (/config refresh-interval), 없으면 전부
+async function syncAllRoles(guildIds = null) {
+  for (const guildId of Object.keys(guildSettings)) {
+    if (guildIds && !guildIds.has(guildId)) continue;
+    if (!guildSettings[guildId]?.roles || isOrphaned(guildId)) continue;
+    try {
+      await syncGuildRoles(guildId);
+    } catch (e) {
+      console.error('[ROLE FAIL]', guildId, e?.rawError ?? e);
     }
+  }
+}
 
-    for (const p of personals) {
-      const main = p.main || info.main;
-      if (!p.channelId || !p.messageId || !main) continue;
-      await wait(EDIT_DELAY_MS);
-      try {
-        const ch = await client.channels.fetch(p.channelId).catch(() => null);
-        if (!ch) {
-          console.error('[EDIT FAIL personal] channel not found', userId, p.channelId);
-          continue;
-        }
-        const msg = await ch.messages.fetch(p.messageId).catch(() => null);
-        if (!msg) {
-          console.error(
-            '[EDIT FAIL personal] message not found',
-            userId,
-            p.channelId,
-            p.messageId,
-          );
-          continue;
-        }
-        const view = await buildPersonalView(userId, main, p.channelId);
-        await msg.edit({ embeds: view.embeds, components: view.components });
-        console.log('[EDIT OK personal]', userId, p.channelId, p.messageId, `main=${main}`);
-      } catch (e) {
-        console.error('[EDIT FAIL personal]', userId, e?.rawError ?? e);
-      }
-    }
+async function buildRolePreviewEmbed(guildId) {
+  const config = guildSettings[guildId]?.roles || emptyRoleConfig();
+  const configLines = [
+    ...config.levels.map((l) => `• ${l.minLevel}+ → <@&${l.roleId}>`),
+    ...Object.entries(config.classes).map(([k, id]) =>
+      `• ${k === 'support' ? '서포터' : '딜러'} → <@&${id}>`),
+  ];
+  const embed = new EmbedBuilder()
+    .setTitle('🎭 역할 자동 부여 설정')
+    .setDescription(configLines.length ? configLines.join('\n') : '설정된 역할이 없습니다.')
+    .setColor(0x9b59b6);
+
+  const planned = await planGuildRoles(guildId);
+  if (!planned) return embed;
+
+  const { plan, blocked } = planned;
+  const mark = (id) => `<@&${id}>${blocked.has(id) ? '⛔' : ''}`;
+  const lines = plan.map(({ userId, add, remove }) =>
+    `<@${userId}> ${add.map((id) => `+${mark(id)}`).join(' ')} ${remove.map((id) => `-${mark(id)}`).join(' ')}`.trim(),
+  );
+  embed.addFields({
+    name: `다음 갱신 때 변경 (${plan.length}명)`,
+    value: lines.length ? joinLines(lines, 1000) : '변경 없음',
+  });
+  if (blocked.size) {
+    embed.addFields({
+      name: '⛔ 부여할 수 없는 역할',
+      value: `${[...blocked].map((id) => `<@&${id}>`).join(' ')}\n봇 역할보다 높거나 삭제된 역할입니다. 봇 역할을 위로 올려 주세요.`,
+    });
   }
+  return embed;
 }
 
-// ===================== 닉네임(표시이름) 헬퍼 =====================
-async function getDisplayName(userId, channelId) {
-  const ch = await client.channels.fetch(channelId);
-  const member = await ch.guild.members.fetch(userId);
-  return member.displayName; // 디코 닉네임
+async function syncAllNicknames(guildIds = null) {
+  for (const [guildId, members] of Object.entries(links)) {
+    if (guildIds && !guildIds.has(guildId)) continue;
+    if (!guildSettings[guildId]?.nicknameTemplate || isOrphaned(guildId)) continue;
+    await syncGuildNicknames(guildId, members);
+  }
+}
+
+async function syncGuildNicknames(guildId, members) {
+  for (const userId of Object.keys(members)) {
+    try {
+      const result = await syncMemberNickname(guildId, userId);
+      if (result === 'updated') {
+        console.log('[NICK OK]', guildId, userId);
+        await wait(EDIT_DELAY_MS);
+      } else if (result === 'skipped:no-permission') {
+        console.error('[NICK FAIL] missing Manage Nicknames permission', guildId);
+        return;
+      }
+    } catch (e) {
+      console.error('[NICK FAIL]', guildId, userId, e?.rawError ?? e);
+    }
+  }
 }
 
 // ===================== 유틸 =====================
@@ -768,8 +3424,175 @@ function wait(ms) {
   return new Promise((res) => setTimeout(res, ms));
 }
 
+// 최대 limit 개씩 동시에 실행 (결과는 입력 순서대로)
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// ===================== HTTP: /healthz · /status · /metrics =====================
+function countPersonals() {
+  let n = 0;
+  for (const members of Object.values(links)) {
+    for (const info of Object.values(members)) n += info?.personals?.length ?? 0;
+  }
+  return n;
+}
+
+function currentHealth() {
+  if (!runtime.booted) {
+    return { ok: false, reasons: ['starting'] };
+  }
+  return healthState({
+    connected: client.isReady(),
+    loginFailed: runtime.loginFailed,
+    readyAt: runtime.readyAt,
+    lastTickAt: runtime.lastSuccessfulTickAt,
+    maxTickAgeMs: HEALTH_MAX_TICK_AGE_MS,
+  });
+}
+
+function buildStatus() {
+  const iso = (ts) => (ts ? new Date(ts).toISOString() : null);
+  return {
+    ...currentHealth(),
+    gateway: { connected: client.isReady(), pingMs: client.isReady() ? client.ws.ping : null, readyAt: iso(runtime.readyAt) },
+    lastTick: {
+      at: iso(runtime.lastTickAt),
+      lastSuccessAt: iso(runtime.lastSuccessfulTickAt),
+      durationMs: runtime.lastTickMs,
+      failedSteps: runtime.lastTickFailures,
+      runningSince: iso(runtime.tickStartedAt),
+    },
+    guilds: client.guilds.cache.size,
+    boards: boards.length,
+    personals: countPersonals(),
+    linkedUsers: Object.values(links).reduce((n, members) => n + Object.keys(members).length, 0),
+    raids: raidParties.length,
+    marketWatches: market.watches.length,
+    windowMinutes: metrics.windowMs / 60000,
+    api: metrics.rate('api'),
+    edits: metrics.rate('edit'),
+    recentEditFailures: metrics.failures('edit').map((f) => ({ ...f, ts: iso(f.ts) })),
+  };
+}
+
+function buildMetricsText() {
+  const s = buildStatus();
+  const gauge = (name, help, value) => ({ name, help, type: 'gauge', samples: [{ value }] });
+  const counter = (name, help, source) => ({
+    name, help, type: 'counter', samples: metrics.counters(source).map((c) => ({ labels: c.labels, value: c.value })),
+  });
+  return formatPrometheus([
+    gauge('loabot_up', '1 if gateway connected and refresh tick is fresh', s.ok ? 1 : 0),
+    gauge('loabot_gateway_connected', 'Discord gateway connection state', s.gateway.connected ? 1 : 0),
+    gauge('loabot_last_tick_timestamp_seconds', 'Last completed refresh tick (unix seconds)', (runtime.lastTickAt ?? 0) / 1000),
+    gauge('loabot_last_successful_tick_timestamp_seconds', 'Last successful refresh tick (unix seconds)', (runtime.lastSuccessfulTickAt ?? 0) / 1000),
+    gauge('loabot_last_tick_duration_seconds', 'Duration of the last completed refresh tick', (runtime.lastTickMs ?? 0) / 1000),
+    gauge('loabot_last_tick_failed_steps', 'Steps that threw in the last completed refresh tick', runtime.lastTickFailures.length),
+    counter('loabot_tick_step_errors_total', 'Refresh tick step failures by step', 'tick_step_errors'),
+    gauge('loabot_guilds', 'Guilds the bot is in', s.guilds),
+    gauge('loabot_boards', 'Managed board messages', s.boards),
+    gauge('loabot_personal_messages', 'Pinned personal messages', s.personals),
+    gauge('loabot_linked_users', 'Linked users across guilds', s.linkedUsers),
+    gauge('loabot_market_watches', 'Market price watches', s.marketWatches),
+    counter('loabot_api_requests_total', 'Lost Ark API responses by status (including retries)', 'api_requests'),
+    gauge('loabot_api_error_ratio', `Lost Ark API error ratio over the last ${s.windowMinutes} minutes`, s.api.ratio),
+    counter('loabot_edits_total', 'Board / personal message edit results', 'edits'),
+    gauge('loabot_edit_error_ratio', `Message edit error ratio over the last ${s.windowMinutes} minutes`, s.edits.ratio),
+  ]);
+}
+
+// ----- 읽기 전용 웹 로스터 (/roster, /api/roster) -----
+// 유저별 최고 캐릭터(주 로스터) + 전투력, 같은 길드/정렬은 잠시 재사용
+const webCache = new Map(); // `${guildId}:${sort}` -> { ts, rows }
+
+async function webRosterRows(guildId, sort) {
+  const key = `${guildId}:${sort}`;
+  const hit = webCache.get(key);
+  if (hit && Date.now() - hit.ts < WEB_CACHE_MS) return hit.rows;
+
+  const opts = normalizeBoardOptions({ sort, mode: 'best', rosters: 'primary' });
+  const entries = await boardEntries(opts, await fetchRosters(guildId), { combatPower: true });
+  // 표시 이름은 캐시된 멤버만 (웹 요청마다 디스코드 조회 X)
+  const members = client.guilds.cache.get(guildId)?.members.cache;
+  const names = new Map(entries.map((e) => [e.userId, members?.get(e.userId)?.displayName ?? null]));
+  const rows = rosterRows(entries, names);
+  webCache.set(key, { ts: Date.now(), rows });
+  return rows;
+}
+
+async function handleWebRoster(url, req, res, json) {
+  const q = url.searchParams;
+  // 길드마다 /config web-roster 로 켠 경우만 (토큰도 길드별)
+  const guildId = q.get('guild');
+  const token = guildConfig(guildSettings[guildId]).webToken;
+  if (!guildId || !token || !client.guilds.cache.has(guildId)) return json(404, { error: 'not found' });
+  if (!tokenAllowed(token, { query: q.get('token'), authorization: req.headers.authorization })) {
+    return json(401, { error: 'invalid token' });
+  }
+  const sort = isWebSort(q.get('sort')) ? q.get('sort') : 'level';
+  const rows = await webRosterRows(guildId, sort);
+
+  if (url.pathname === '/api/roster') {
+    return json(200, { guildId, sort, generatedAt: new Date().toISOString(), users: rows });
+  }
+  const params = { guild: guildId };
+  if (q.get('token')) params.token = q.get('token');
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(renderRosterHtml({
+    title: guildConfig(guildSettings[guildId]).boardTitle,
+    guildName: client.guilds.cache.get(guildId)?.name ?? guildId,
+    rows,
+    sort,
+    params,
+  }));
+}
+
+async function handleHttp(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const path = url.pathname;
+  const json = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  };
+  try {
+    // 시작 전에는 아래쪽 상태(client, links ...)를 건드리지 않고 503 만
+    if (!runtime.booted) {
+      const health = currentHealth();
+      return path === '/' || path === '/healthz' || path === '/status' ? json(503, health) : json(503, { error: 'starting' });
+    }
+    if (path === '/roster' || path === '/api/roster') return await handleWebRoster(url, req, res, json);
+    // / 는 예전 keep-alive 핑 호환
+    if (path === '/' || path === '/healthz') {
+      const health = currentHealth();
+      return json(health.ok ? 200 : 503, health);
+    }
+    if (path === '/status') return json(200, buildStatus());
+    if (path === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      return res.end(buildMetricsText());
+    }
+    json(404, { error: 'not found' });
+  } catch (e) {
+    console.error('http error:', e?.response?.data || e);
+    if (!res.headersSent) json(500, { error: 'internal error' });
+  }
+}
+
+runtime.booted = true;
+
 // ===================== 로그인 시작 =====================
 loginWithRetry().catch((e) => {
   console.error('FATAL login error:', e?.message || e);
-  // HTTP 서버는 이미 리슨 중이므로 프로세스는 유지
+  // 프로세스는 유지하고 /healthz 가 503 을 돌려 호스트가 재시작하게 함
+  runtime.loginFailed = true;
 });
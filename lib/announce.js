@@ -0,0 +1,52 @@
+// lib/announce.js
+// 직전 로스터 스냅샷과 비교해 레벨업 / 새 캐릭터 / 레이드 입장 레벨 달성 찾기
+import { RAIDS } from './raids.js';
+
+const toLevelNum = (s) => parseFloat(String(s).replace(/,/g, '') || '0');
+
+// 형제 목록 → { 캐릭터명: 아이템 레벨 }
+export function rosterSnapshot(chars) {
+  const out = {};
+  for (const c of chars || []) {
+    if (c?.CharacterName && c.ItemAvgLevel != null) out[c.CharacterName] = toLevelNum(c.ItemAvgLevel);
+  }
+  return out;
+}
+
+// from 초과 ~ to 이하 구간에서 새로 입장 가능해진 레이드 난이도
+export function unlockedRaids(from, to) {
+  const out = [];
+  for (const raid of RAIDS) {
+    for (const d of raid.difficulties) {
+      if (from < d.minLevel && to >= d.minLevel) out.push(`${raid.name} ${d.label}`);
+    }
+  }
+  return out;
+}
+
+// prev: rosterSnapshot 결과 (없으면 첫 관측이라 알림 없음)
+// → [{ type: 'new' | 'levelUp', name, className, from?, to, raids: [] }]
+export function diffRoster(prev, chars) {
+  if (!prev) return [];
+  const events = [];
+  for (const c of chars || []) {
+    if (!c?.CharacterName || c.ItemAvgLevel == null) continue;
+    const to = toLevelNum(c.ItemAvgLevel);
+    const from = prev[c.CharacterName];
+    if (from == null) {
+      events.push({ type: 'new', name: c.CharacterName, className: c.CharacterClassName, to, raids: [] });
+    } else if (to > from) {
+      events.push({
+        type: 'levelUp', name: c.CharacterName, className: c.CharacterClassName,
+        from, to, raids: unlockedRaids(from, to),
+      });
+    }
+  }
+  return events;
+}
+
+export function formatAnnounceEvent(e) {
+  const raids = e.raids.length ? `\n  └ 🔓 ${e.raids.join(', ')} 입장 가능!` : '';
+  if (e.type === 'new') return `🆕 **${e.name}** (${e.className}) 새 캐릭터 — ${e.to.toFixed(2)}`;
+  return `⬆️ **${e.name}** (${e.className}) ${e.from.toFixed(2)} → **${e.to.toFixed(2)}**${raids}`;
+}
@@ -0,0 +1,68 @@
+// lib/ark-passive.js
+// /arkpassive 응답 → 포인트 + 진화/깨달음/도약 노드(티어, 레벨) + 빌드 시그니처
+// Effects[].Description 예: "<FONT color='#F1D594'>진화</FONT> 1티어 <FONT color='#FFFFFF'>특화 Lv.30</FONT>"
+import { tooltipText } from './armory.js';
+
+export const ARK_CATEGORIES = ['진화', '깨달음', '도약'];
+
+const NODE_RE = /(\d+)\s*티어\s*(.+?)\s*Lv\.?\s*(\d+)/;
+
+// 효과 하나 → { category, tier, name, level } (형식이 다르면 null)
+export function parseArkNode(effect) {
+  const text = tooltipText(effect?.Description || '').replace(/\n/g, ' ');
+  const m = text.match(NODE_RE);
+  if (!m) return null;
+  const category = ARK_CATEGORIES.find((c) => effect?.Name === c || text.startsWith(c)) || effect?.Name || null;
+  return { category, tier: Number(m[1]), name: m[2].trim(), level: Number(m[3]) };
+}
+
+export function parseArkPassive(ark) {
+  const points = (Array.isArray(ark?.Points) ? ark.Points : []).map((p) => ({
+    name: p.Name,
+    value: p.Value ?? null,
+    description: tooltipText(p.Description || '').replace(/\n/g, ' '),
+  }));
+  const nodes = (Array.isArray(ark?.Effects) ? ark.Effects : []).map(parseArkNode).filter(Boolean);
+  return { enabled: ark?.IsArkPassive !== false, points, nodes, signature: buildSignature(nodes) };
+}
+
+// 빌드 시그니처: 깨달음 1티어 노드(직업 각인 갈래) + 진화 1티어 주력 특성 2개
+//   예) "절실한 구원 · 특화/신속"
+export function buildSignature(nodes) {
+  const byTier = (category, tier) => nodes
+    .filter((n) => n.category === category && n.tier === tier)
+    .sort((a, b) => b.level - a.level);
+  const path = byTier('깨달음', 1)[0]?.name ?? null;
+  const stats = byTier('진화', 1).slice(0, 2).map((n) => n.name);
+  const parts = [path, stats.join('/')].filter(Boolean);
+  return parts.length ? parts.join(' · ') : null;
+}
+
+// 보드 필터: 시그니처에 검색어가 들어 있는지 (공백 무시)
+export function signatureMatches(signature, query) {
+  if (!query) return true;
+  const norm = (s) => String(s ?? '').replace(/\s+/g, '').toLowerCase();
+  return Boolean(signature) && norm(signature).includes(norm(query));
+}
+
+// detail=false: 포인트 + 시그니처 한 덩어리 (개인 카드용)
+// detail=true : 카테고리별 티어/레벨 노드까지 (상세 보기용)
+export function formatArkPassive(ark, { detail = false } = {}) {
+  const { enabled, points, nodes, signature } = parseArkPassive(ark);
+  if (!ark || !enabled || (!points.length && !nodes.length)) return '등록된 아크 패시브가 없습니다.';
+
+  const lines = [];
+  if (signature) lines.push(`🧭 **${signature}**`);
+  if (points.length) {
+    lines.push(points.map((p) => `${p.name} ${p.value ?? '-'}${p.description ? ` (${p.description})` : ''}`).join(' · '));
+  }
+  if (!detail) return lines.join('\n');
+
+  for (const category of ARK_CATEGORIES) {
+    const list = nodes.filter((n) => n.category === category).sort((a, b) => a.tier - b.tier);
+    if (!list.length) continue;
+    lines.push(`**${category}**`);
+    lines.push(...list.map((n) => `• ${n.tier}T ${n.name} Lv.${n.level}`));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,181 @@
+// lib/armory.js
+// /armories/characters/{name}/* 응답 → 읽기 좋은 텍스트
+// 툴팁은 JSON 문자열 안에 HTML 조각이 들어 있는 형태라 태그를 지우기 전에 줄바꿈/엔티티를 살린다.
+const ENTITIES = { nbsp: ' ', lt: '<', gt: '>', amp: '&', quot: '"', '#39': "'", apos: "'" };
+
+// HTML 조각 → 여러 줄 텍스트 (<BR> 은 줄바꿈, 나머지 태그 제거)
+export function tooltipText(html = '') {
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#?\w+);/g, (m, name) => ENTITIES[name.toLowerCase()] ?? m)
+    .split('\n')
+    .map((l) => l.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// 툴팁 JSON 문자열 → Element_XXX 값 목록
+export function parseTooltip(tooltip) {
+  if (!tooltip) return [];
+  let obj = tooltip;
+  if (typeof tooltip === 'string') {
+    try { obj = JSON.parse(tooltip); } catch { return []; }
+  }
+  return Object.keys(obj).sort().map((k) => obj[k]).filter(Boolean);
+}
+
+// 요소 안의 모든 문자열을 텍스트로 평탄화
+function elementText(el) {
+  const out = [];
+  const walk = (v) => {
+    if (v == null) return;
+    if (typeof v === 'string') out.push(tooltipText(v));
+    else if (typeof v === 'object') Object.keys(v).sort().forEach((k) => walk(v[k]));
+  };
+  walk(el?.value);
+  return out.filter(Boolean).join('\n');
+}
+
+// 장비 1개 → { type, name, grade, refine, advancedRefine, quality, itemLevel, effects[] }
+export function parseEquipment(item) {
+  const elements = parseTooltip(item.Tooltip);
+  const title = elements.find((e) => e.type === 'ItemTitle')?.value || {};
+  const texts = elements.map(elementText);
+  const all = texts.join('\n');
+
+  const refine = String(item.Name || '').match(/^\+(\d+)/);
+  const level = tooltipText(title.leftStr2 || '').match(/아이템 레벨\s*([\d,.]+)/);
+  const advanced = all.match(/\[상급 재련\]\s*(\d+)\s*단계/);
+
+  // 장신구 연마 효과 / 팔찌 효과 등: "연마 효과" 또는 "팔찌 효과" 제목 다음 줄들
+  const effects = [];
+  for (const el of elements) {
+    if (el.type !== 'ItemPartBox') continue;
+    const head = tooltipText(el.value?.Element_000 || '');
+    if (/연마 효과|팔찌 효과/.test(head)) {
+      effects.push(...tooltipText(el.value?.Element_001 || '').split('\n'));
+    }
+  }
+
+  return {
+    type: item.Type,
+    name: tooltipText(item.Name),
+    grade: item.Grade,
+    refine: refine ? Number(refine[1]) : null,
+    advancedRefine: advanced ? Number(advanced[1]) : null,
+    quality: typeof title.qualityValue === 'number' && title.qualityValue >= 0 ? title.qualityValue : null,
+    itemLevel: level ? level[1] : null,
+    effects,
+  };
+}
+
+export const GEAR_TYPES = ['무기', '투구', '상의', '하의', '장갑', '어깨'];
+
+export function formatEquipment(equipment) {
+  if (!Array.isArray(equipment) || !equipment.length) return ['장비 정보가 없습니다.'];
+  const items = equipment.map(parseEquipment);
+  const lines = [];
+
+  const gear = items.filter((it) => GEAR_TYPES.includes(it.type));
+  if (gear.length) {
+    lines.push('**방어구 / 무기**');
+    for (const it of gear) {
+      const adv = it.advancedRefine ? ` · 상급 ${it.advancedRefine}` : '';
+      const q = it.quality != null ? ` · 품질 ${it.quality}` : '';
+      lines.push(`• ${it.type} **${it.name}**${adv}${q}`);
+    }
+  }
+
+  const rest = items.filter((it) => !GEAR_TYPES.includes(it.type));
+  if (rest.length) {
+    lines.push('**장신구 / 기타**');
+    for (const it of rest) {
+      const q = it.quality != null ? ` · 품질 ${it.quality}` : '';
+      lines.push(`• ${it.type} **${it.name}**${q}`);
+      for (const eff of it.effects) lines.push(`  └ ${eff}`);
+    }
+  }
+  return lines;
+}
+
+// 아크 패시브 이후 각인은 ArkPassiveEffects, 이전 형식은 Effects
+export function formatEngravings(data) {
+  const ark = data?.ArkPassiveEffects;
+  if (Array.isArray(ark) && ark.length) {
+    return ark.map((e) => {
+      const stone = e.AbilityStoneLevel ? ` · 돌 +${e.AbilityStoneLevel}` : '';
+      return `• ${e.Grade ? `${e.Grade} ` : ''}**${e.Name}** Lv.${e.Level}${stone}`;
+    });
+  }
+  const effects = data?.Effects;
+  if (Array.isArray(effects) && effects.length) return effects.map((e) => `• **${e.Name}**`);
+  return ['각인 정보가 없습니다.'];
+}
+
+// 보석: 슬롯별 보석 이름 + 적용 스킬/효과
+export function formatGems(data) {
+  const gems = Array.isArray(data?.Gems) ? data.Gems : [];
+  if (!gems.length) return ['장착한 보석이 없습니다.'];
+
+  const skills = Array.isArray(data?.Effects?.Skills)
+    ? data.Effects.Skills
+    : Array.isArray(data?.Effects) ? data.Effects : [];
+  const bySlot = new Map(skills.map((s) => [s.GemSlot, s]));
+
+  return [...gems]
+    .sort((a, b) => (b.Level ?? 0) - (a.Level ?? 0))
+    .map((g) => {
+      const s = bySlot.get(g.Slot);
+      const desc = Array.isArray(s?.Description) ? s.Description.join(' ') : s?.Description;
+      const effect = s ? ` → ${s.Name}${desc ? ` (${tooltipText(desc)})` : ''}` : '';
+      return `• **${tooltipText(g.Name)}**${effect}`;
+    });
+}
+
+// 카드: 세트 효과(가장 높은 단계) + 카드별 각성
+export function formatCards(data) {
+  const cards = Array.isArray(data?.Cards) ? data.Cards : [];
+  if (!cards.length) return ['장착한 카드가 없습니다.'];
+
+  const lines = [];
+  for (const eff of Array.isArray(data?.Effects) ? data.Effects : []) {
+    const top = Array.isArray(eff.Items) ? eff.Items[eff.Items.length - 1] : null;
+    if (top) lines.push(`**${tooltipText(top.Name)}**`);
+  }
+  for (const c of cards) {
+    lines.push(`• ${tooltipText(c.Name)} (${c.Grade}) 각성 ${c.AwakeCount}/${c.AwakeTotal}`);
+  }
+  return lines;
+}
+
+// 스킬: 레벨을 올렸거나 룬을 낀 스킬만 (선택한 트라이포드 + 룬)
+export function formatSkills(skills) {
+  if (!Array.isArray(skills) || !skills.length) return ['스킬 정보가 없습니다.'];
+  const used = skills
+    .filter((s) => s.Level > 1 || s.Rune)
+    .sort((a, b) => b.Level - a.Level);
+  if (!used.length) return ['투자한 스킬이 없습니다.'];
+
+  return used.map((s) => {
+    const tripods = (s.Tripods || [])
+      .filter((t) => t.IsSelected)
+      .sort((a, b) => a.Tier - b.Tier)
+      .map((t) => tooltipText(t.Name));
+    const rune = s.Rune ? ` · 룬 ${s.Rune.Name}(${s.Rune.Grade})` : '';
+    const tri = tripods.length ? ` · ${tripods.join(' / ')}` : '';
+    return `• **${s.Name}** Lv.${s.Level}${tri}${rune}`;
+  });
+}
+
+// 줄 목록을 embed description 한도(4096자) 안으로
+export function joinLines(lines, max = 4000) {
+  let out = '';
+  for (const line of lines) {
+    const next = out ? `${out}\n${line}` : line;
+    if (next.length > max) return `${out}\n…`;
+    out = next;
+  }
+  return out;
+}
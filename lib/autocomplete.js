@@ -0,0 +1,46 @@
+// lib/autocomplete.js
+// 캐릭터 이름 자동완성 — 내 로스터 먼저, 그다음 봇이 본 적 있는 이름 (접두 일치 > 포함 > 초성)
+const CHOSUNG = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+const MAX_CHOICES = 25; // 디스코드 자동완성 최대 개수
+
+// '바드' → 'ㅂㄷ' (한글 음절이 아니면 그대로)
+export function chosung(s) {
+  return [...String(s)].map((ch) => {
+    const code = ch.charCodeAt(0) - 0xac00;
+    return code >= 0 && code < 11172 ? CHOSUNG[Math.floor(code / 588)] : ch;
+  }).join('');
+}
+
+// 0: 접두 일치, 1: 포함, 2: 초성 포함, -1: 불일치
+export function matchRank(name, query) {
+  const n = String(name).toLowerCase();
+  const q = String(query ?? '').trim().toLowerCase();
+  if (!q || n.startsWith(q)) return 0;
+  if (n.includes(q)) return 1;
+  if (/^[ㄱ-ㅎ]+$/.test(q) && chosung(n).includes(q)) return 2;
+  return -1;
+}
+
+// own: 내 캐릭터 이름, known: 본 적 있는 이름(iterable), info: Map(name → { className, level })
+export function rankCharacterChoices(query, { own = [], known = [], info = new Map() } = {}, limit = MAX_CHOICES) {
+  const seen = new Set();
+  const scored = [];
+  const add = (name, group) => {
+    if (!name || seen.has(name)) return;
+    const rank = matchRank(name, query);
+    if (rank < 0) return;
+    seen.add(name);
+    scored.push({ name, group, rank });
+  };
+  for (const name of own) add(name, 0);
+  for (const name of known) add(name, 1);
+
+  scored.sort((a, b) =>
+    a.group - b.group || a.rank - b.rank || a.name.length - b.name.length || a.name.localeCompare(b.name, 'ko'),
+  );
+  return scored.slice(0, limit).map(({ name, group }) => {
+    const x = info.get(name);
+    const detail = x?.className ? ` (${x.className}${x.level ? ` ${x.level}` : ''})` : '';
+    return { name: `${group === 0 ? '⭐ ' : ''}${name}${detail}`.slice(0, 100), value: name };
+  });
+}
@@ -0,0 +1,141 @@
+// lib/board.js
+// 공용 보드 행 만들기 — 보드별 옵션(정렬/필터/상위 N/표시 방식)과 페이지 나누기
+import { signatureMatches } from './ark-passive.js';
+
+export const BOARD_SORTS = {
+  level:       '아이템 레벨',
+  combatPower: '전투력',
+  class:       '직업',
+};
+
+export const BOARD_MODES = {
+  best: '유저별 최고 캐릭터',
+  all:  '모든 캐릭터',
+};
+
+export const BOARD_ROSTERS = {
+  primary: '주 로스터만',
+  all:     '모든 로스터',
+};
+
+export const DEFAULT_BOARD_OPTIONS = Object.freeze({
+  sort: 'level',
+  mode: 'best',
+  rosters: 'primary',
+  server: null,
+  className: null,
+  minLevel: null,
+  top: null,
+  build: null,        // 아크 패시브 빌드 시그니처 검색어
+});
+
+const PAGE_MAX_LINES = 25;
+const PAGE_MAX_CHARS = 3800; // embed description 4096자 안쪽
+
+const toLevelNum = (s) => parseFloat(String(s).replace(/,/g, '') || '0');
+
+// 저장된 옵션(없거나 일부만 있어도) → 완전한 옵션
+export function normalizeBoardOptions(opts = {}) {
+  const o = { ...DEFAULT_BOARD_OPTIONS, ...(opts || {}) };
+  if (!(o.sort in BOARD_SORTS)) o.sort = DEFAULT_BOARD_OPTIONS.sort;
+  if (!(o.mode in BOARD_MODES)) o.mode = DEFAULT_BOARD_OPTIONS.mode;
+  if (!(o.rosters in BOARD_ROSTERS)) o.rosters = DEFAULT_BOARD_OPTIONS.rosters;
+  o.top = Number.isInteger(o.top) && o.top > 0 ? o.top : null;
+  o.minLevel = typeof o.minLevel === 'number' && o.minLevel > 0 ? o.minLevel : null;
+  o.build = typeof o.build === 'string' && o.build.trim() ? o.build.trim() : null;
+  return o;
+}
+
+export const needsCombatPower = (opts) => normalizeBoardOptions(opts).sort === 'combatPower';
+export const needsBuild = (opts) => Boolean(normalizeBoardOptions(opts).build);
+
+// rosters: [{ userId, primary, chars?, err? }] — 유저당 로스터 여러 개일 수 있음
+export function visibleRosters(rosters, opts) {
+  const o = normalizeBoardOptions(opts);
+  return o.rosters === 'all' ? rosters : rosters.filter((r) => r.primary !== false);
+}
+
+// → 보드에 표시할 항목 (필터만, 정렬 전), best 모드는 로스터마다 최고 캐릭터 하나
+// builds: Map(캐릭터명 → 빌드 시그니처), 빌드 필터를 쓸 때만 넘김
+export function selectBoardEntries(rosters, opts, { builds } = {}) {
+  const o = normalizeBoardOptions(opts);
+  const entries = [];
+  for (const r of visibleRosters(rosters, o)) {
+    if (r.err || !Array.isArray(r.chars) || !r.chars.length) continue;
+    const chars = r.chars.map((c) => ({
+      userId: r.userId,
+      name: c.CharacterName,
+      cls: c.CharacterClassName,
+      server: c.ServerName,
+      levelStr: c.ItemAvgLevel,
+      levelNum: toLevelNum(c.ItemAvgLevel),
+      verified: r.verified === true,
+      duplicate: Boolean(r.duplicate),
+      build: builds?.get(c.CharacterName) ?? null,
+    }));
+    const matched = chars.filter((c) =>
+      (!o.server || c.server === o.server)
+      && (!o.className || c.cls === o.className)
+      && (!o.minLevel || c.levelNum >= o.minLevel)
+      && (!o.build || signatureMatches(c.build, o.build)),
+    );
+    if (o.mode === 'all') {
+      entries.push(...matched);
+    } else if (matched.length) {
+      entries.push(matched.reduce((a, b) => (a.levelNum >= b.levelNum ? a : b)));
+    }
+  }
+  return entries;
+}
+
+// 정렬 + 상위 N (전투력 정렬이면 entry.combatPower 가 채워져 있어야 함)
+export function sortBoardEntries(entries, opts) {
+  const o = normalizeBoardOptions(opts);
+  const byLevel = (a, b) => b.levelNum - a.levelNum;
+  const sorted = [...entries].sort((a, b) => {
+    if (o.sort === 'combatPower') return (b.combatPower ?? -1) - (a.combatPower ?? -1) || byLevel(a, b);
+    if (o.sort === 'class') return String(a.cls).localeCompare(String(b.cls), 'ko') || byLevel(a, b);
+    return byLevel(a, b);
+  });
+  return o.top ? sorted.slice(0, o.top) : sorted;
+}
+
+// 미인증 링크는 멘션을 굵게 하지 않고 표시, 같은 로스터를 여러 명이 등록했으면 경고
+export function formatBoardLine(e, rank) {
+  const cp = e.combatPower != null ? ` | 전투력 ${e.combatPower.toLocaleString('ko-KR')}` : '';
+  const who = e.verified === false ? `<@${e.userId}> ❔미인증` : `**<@${e.userId}>**`;
+  const dup = e.duplicate ? ' ⚠️중복 등록' : '';
+  const build = e.build ? ` | ${e.build}` : '';
+  return `${rank}. ${who} — **${e.name}** (${e.cls}) | ${e.levelStr}${cp}${build}${dup}`;
+}
+
+// 보드 상단에 보여 줄 옵션 요약
+export function describeBoardOptions(opts) {
+  const o = normalizeBoardOptions(opts);
+  const parts = [`정렬: ${BOARD_SORTS[o.sort]}`, BOARD_MODES[o.mode]];
+  if (o.rosters === 'all') parts.push(BOARD_ROSTERS.all);
+  if (o.server) parts.push(`서버 ${o.server}`);
+  if (o.className) parts.push(o.className);
+  if (o.minLevel) parts.push(`${o.minLevel}+`);
+  if (o.build) parts.push(`빌드 "${o.build}"`);
+  if (o.top) parts.push(`상위 ${o.top}`);
+  return parts.join(' · ');
+}
+
+// 줄 수 / 글자 수 기준으로 페이지 나누기 (최소 1페이지)
+export function paginateLines(lines, { maxLines = PAGE_MAX_LINES, maxChars = PAGE_MAX_CHARS } = {}) {
+  const pages = [];
+  let cur = [];
+  let len = 0;
+  for (const line of lines) {
+    if (cur.length && (cur.length >= maxLines || len + line.length + 1 > maxChars)) {
+      pages.push(cur);
+      cur = [];
+      len = 0;
+    }
+    cur.push(line);
+    len += line.length + 1;
+  }
+  if (cur.length || !pages.length) pages.push(cur);
+  return pages.map((p) => p.join('\n'));
+}
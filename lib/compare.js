@@ -0,0 +1,75 @@
+// lib/compare.js
+// /compare — 두 캐릭터의 아이템 레벨 / 전투력 / 아크 패시브 포인트 / 장비 차이 (왼쪽 기준 ▲▼)
+import { parseEquipment, GEAR_TYPES } from './armory.js';
+
+const toNum = (v) => {
+  if (v == null || v === '') return null;
+  const n = Number(String(v).replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+};
+
+const fmt = (v, digits = 0) => (v == null
+  ? '-'
+  : v.toLocaleString('ko-KR', { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+
+function delta(a, b, digits = 0) {
+  if (a == null || b == null || a === b) return '';
+  return ` (${a > b ? '▲' : '▼'}${fmt(Math.abs(a - b), digits)})`;
+}
+
+const row = (label, a, b, digits = 0) => `${label} ${fmt(a, digits)} vs ${fmt(b, digits)}${delta(a, b, digits)}`;
+
+// 아크 패시브 포인트 이름 → 값
+export function arkPoints(ark) {
+  const points = Array.isArray(ark?.Points) ? ark.Points : [];
+  return new Map(points.map((p) => [p.Name, toNum(p.Value)]));
+}
+
+function gearMap(equipment) {
+  const items = Array.isArray(equipment) ? equipment.map(parseEquipment) : [];
+  return new Map(items.filter((it) => GEAR_TYPES.includes(it.type)).map((it) => [it.type, it]));
+}
+
+function gearText(it) {
+  if (!it) return '-';
+  const adv = it.advancedRefine ? ` 상급${it.advancedRefine}` : '';
+  const q = it.quality != null ? ` 품질${it.quality}` : '';
+  return `+${it.refine ?? '?'}${adv}${q}`;
+}
+
+// 방어구/무기 부위별 재련(+상급) 비교
+export function equipmentLines(eqA, eqB) {
+  const ga = gearMap(eqA);
+  const gb = gearMap(eqB);
+  const score = (it) => (it ? (it.refine ?? 0) + (it.advancedRefine ?? 0) / 10 : null);
+  return GEAR_TYPES
+    .filter((type) => ga.has(type) || gb.has(type))
+    .map((type) => {
+      const a = ga.get(type);
+      const b = gb.get(type);
+      const d = score(a) != null && score(b) != null && score(a) !== score(b)
+        ? ` ${score(a) > score(b) ? '▲' : '▼'}`
+        : '';
+      return `• ${type} ${gearText(a)} vs ${gearText(b)}${d}`;
+    });
+}
+
+// side: { name, profile: ArmoryProfile, ark, equipment } → embed 본문 줄 목록
+export function compareLines(a, b) {
+  const lines = [
+    row('**아이템 레벨**', toNum(a.profile?.ItemAvgLevel), toNum(b.profile?.ItemAvgLevel), 2),
+    row('**전투력**', toNum(a.profile?.CombatPower), toNum(b.profile?.CombatPower), 2),
+  ];
+
+  const pa = arkPoints(a.ark);
+  const pb = arkPoints(b.ark);
+  const names = [...new Set([...pa.keys(), ...pb.keys()])];
+  if (names.length) {
+    lines.push('', '**아크 패시브 포인트**');
+    for (const n of names) lines.push(row(`• ${n}`, pa.get(n) ?? null, pb.get(n) ?? null));
+  }
+
+  const gear = equipmentLines(a.equipment, b.equipment);
+  if (gear.length) lines.push('', '**장비**', ...gear);
+  return lines;
+}
@@ -0,0 +1,92 @@
+// lib/feeds.js
+// 공지/이벤트 새 글 찾기 + 오늘(KST) 콘텐츠 일정(모험 섬, 필드보스, 카오스게이트) 정리
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+export const FEED_KINDS = {
+  notices:  '공지사항',
+  events:   '이벤트',
+  calendar: '오늘의 일정',
+};
+
+// 캘린더 CategoryName → 이모지 (표시 순서)
+export const CALENDAR_CATEGORIES = {
+  '모험 섬': '🏝️',
+  '필드보스': '👹',
+  '카오스게이트': '🌀',
+};
+
+// 공지/이벤트 항목의 고유 키 (링크가 가장 안정적)
+export const feedItemKey = (item) => item?.Link || `${item?.Title}|${item?.Date ?? item?.StartDate ?? ''}`;
+
+// 처음 보는 항목만 (API 순서 = 최신순 → 오래된 것부터 올리도록 뒤집음)
+export function unseenItems(items, seenKeys) {
+  const seen = new Set(seenKeys);
+  return (Array.isArray(items) ? items : []).filter((it) => !seen.has(feedItemKey(it))).reverse();
+}
+
+// 본 키 목록에 추가 (최근 limit 개만 보관)
+export function rememberKeys(seenKeys, items, limit = 300) {
+  const out = [...(seenKeys || [])];
+  for (const it of items) {
+    const key = feedItemKey(it);
+    if (!out.includes(key)) out.push(key);
+  }
+  return out.slice(-limit);
+}
+
+// KST 날짜 키 (YYYY-MM-DD) / 자정 이후 분
+export const kstDateKey = (now = Date.now()) => new Date(now + KST_OFFSET_MS).toISOString().slice(0, 10);
+export function kstMinutes(now = Date.now()) {
+  const d = new Date(now + KST_OFFSET_MS);
+  return d.getUTCHours() * 60 + d.getUTCMinutes();
+}
+
+// 'HH:MM' → 분 (형식이 틀리면 null)
+export function parseHHMM(s) {
+  const m = String(s ?? '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  return h < 24 && min < 60 ? h * 60 + min : null;
+}
+
+// 오늘 일정 게시 시각이 지났고 아직 안 올렸으면 true
+export function isCalendarDue(sub, now = Date.now()) {
+  const at = parseHHMM(sub?.calendarTime);
+  return at != null && kstMinutes(now) >= at && sub.lastCalendarDate !== kstDateKey(now);
+}
+
+// 캘린더 응답 → [{ category, emoji, entries: [{ name, times: ['HH:MM'] }] }]
+// StartTimes 는 KST 로컬 시각 문자열 ("2025-01-01T11:00:00")
+export function scheduleForDay(calendar, dateKey) {
+  const groups = [];
+  for (const [category, emoji] of Object.entries(CALENDAR_CATEGORIES)) {
+    const byName = new Map();
+    for (const c of Array.isArray(calendar) ? calendar : []) {
+      if (c?.CategoryName !== category) continue;
+      const times = (c.StartTimes || [])
+        .filter((t) => String(t).startsWith(dateKey))
+        .map((t) => String(t).slice(11, 16));
+      if (!times.length) continue;
+      const merged = new Set([...(byName.get(c.ContentsName) || []), ...times]);
+      byName.set(c.ContentsName, merged);
+    }
+    if (!byName.size) continue;
+    groups.push({
+      category,
+      emoji,
+      entries: [...byName].map(([name, times]) => ({ name, times: [...times].sort() })),
+    });
+  }
+  return groups;
+}
+
+export function formatSchedule(groups) {
+  if (!groups.length) return ['오늘 예정된 일정이 없습니다.'];
+  const lines = [];
+  for (const g of groups) {
+    lines.push(`${g.emoji} **${g.category}**`);
+    for (const e of g.entries) lines.push(`• ${e.name} — ${e.times.join(' ')}`);
+  }
+  return lines;
+}
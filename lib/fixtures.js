@@ -0,0 +1,53 @@
+// lib/fixtures.js
+// API 응답 녹화/재생 — LOSTARK_FIXTURES=record 면 실제 응답을 파일로 저장, replay 면 파일만 읽음 (네트워크 X)
+// 파일: {dir}/{GET|POST}-{경로}-{해시}.json = { method, url, body, data }
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const FIXTURE_MODES = ['record', 'replay'];
+
+export function fixtureFile(dir, method, url, body) {
+  const hash = crypto.createHash('sha1').update(`${method} ${url} ${JSON.stringify(body ?? null)}`).digest('hex').slice(0, 10);
+  const slug = decodeURIComponent(url).replace(/^\//, '').replace(/[^\p{L}\p{N}-]+/gu, '_').slice(0, 80);
+  return path.join(dir, `${method}-${slug}-${hash}.json`);
+}
+
+// 재생할 파일이 없을 때
+export class FixtureMissingError extends Error {
+  constructor(file, url) {
+    super(`fixture not found: ${url} (${file})`);
+    this.name = 'FixtureMissingError';
+    this.code = 'FIXTURE_MISSING';
+    this.file = file;
+  }
+}
+
+// api: createLostArkClient() 결과 ({ get, post }) — mode 가 없으면 그대로 돌려줌
+export function withFixtures(api, { mode, dir = 'fixtures' } = {}) {
+  if (!mode) return api;
+  if (!FIXTURE_MODES.includes(mode)) throw new Error(`unknown fixture mode: ${mode} (${FIXTURE_MODES.join('|')})`);
+
+  async function handle(method, url, body, fetch) {
+    const file = fixtureFile(dir, method, url, body);
+    if (mode === 'replay') {
+      let raw;
+      try {
+        raw = fs.readFileSync(file, 'utf8');
+      } catch (e) {
+        if (e.code === 'ENOENT') throw new FixtureMissingError(file, url);
+        throw e;
+      }
+      return JSON.parse(raw).data;
+    }
+    const data = await fetch();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({ method, url, body: body ?? null, data }, null, 2)}\n`);
+    return data;
+  }
+
+  return {
+    get: (url, opts) => handle('GET', url, undefined, () => api.get(url, opts)),
+    post: (url, body, opts) => handle('POST', url, body, () => api.post(url, body, opts)),
+  };
+}
@@ -0,0 +1,68 @@
+// lib/guild-config.js
+// 길드별 설정(/config) 기본값·검증 + 명령 쿨다운
+export const CONFIG_DEFAULTS = Object.freeze({
+  refreshMinutes: 5,                        // 보드/개인 메시지 자동 갱신 간격(분)
+  scanLimit: 50,                            // 보드 탐색 시 채널당 최근 N개 메시지
+  boardTitle: '서버 현황판 (등록자 기준)',
+  adminRoleIds: [],                         // 관리 권한 없이도 관리자 명령을 쓸 수 있는 역할
+  cooldowns: {},                            // { 명령: 초 } — 없으면 DEFAULT_COOLDOWNS
+  verifyGuildName: null,                    // /link 자동 인증에 쓰는 인게임 길드 이름
+  webToken: null,                           // 웹 로스터 토큰 (없으면 웹 로스터 꺼짐)
+});
+
+// 설정 허용 범위 [최소, 최대] (문자열은 글자 수)
+export const CONFIG_LIMITS = {
+  refreshMinutes: [5, 1440],   // 자동 갱신 tick(5분)보다 짧게는 불가
+  scanLimit: [10, 100],        // 디스코드 메시지 조회 한도 100
+  boardTitle: [1, 200],        // 글자 수
+  cooldown: [0, 3600],         // 초
+  verifyGuildName: [1, 40],    // 글자 수
+};
+
+// 관리자 명령 기본 쿨다운(초, 길드 단위)
+export const DEFAULT_COOLDOWNS = {
+  'board-enable': 10,
+  'board-disable': 5,
+  'board-refresh': 60,
+  'board-scan': 120,
+};
+
+// 저장된 설정(일부만 있어도) → 기본값이 채워진 설정
+export function guildConfig(settings = {}) {
+  const s = settings || {};
+  return {
+    refreshMinutes: s.refreshMinutes ?? CONFIG_DEFAULTS.refreshMinutes,
+    scanLimit: s.scanLimit ?? CONFIG_DEFAULTS.scanLimit,
+    boardTitle: s.boardTitle || CONFIG_DEFAULTS.boardTitle,
+    adminRoleIds: Array.isArray(s.adminRoleIds) ? s.adminRoleIds : [],
+    cooldowns: { ...DEFAULT_COOLDOWNS, ...(s.cooldowns || {}) },
+    verifyGuildName: s.verifyGuildName || null,
+    webToken: s.webToken || null,
+  };
+}
+
+// 범위를 벗어나면 사용자에게 보여 줄 오류 문구, 괜찮으면 null
+export function validateConfigValue(key, value) {
+  const [min, max] = CONFIG_LIMITS[key] || [];
+  if (min == null) return `알 수 없는 설정: ${key}`;
+  const isText = typeof value === 'string';
+  const n = isText ? value.length : value;
+  if (!Number.isFinite(n) || n < min || n > max) {
+    return isText ? `${min}~${max}자로 입력하세요.` : `${min} ~ ${max} 사이 값을 입력하세요.`;
+  }
+  return null;
+}
+
+// key 별 마지막 사용 시각 → 남은 대기 시간(ms), 0 이면 통과(이번 사용을 기록)
+export function createCooldowns() {
+  const lastUsed = new Map();
+  return {
+    take(key, seconds, now = Date.now()) {
+      const ms = (seconds || 0) * 1000;
+      const last = lastUsed.get(key);
+      if (last != null && now - last < ms) return ms - (now - last);
+      lastUsed.set(key, now);
+      return 0;
+    },
+  };
+}
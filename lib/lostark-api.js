@@ -0,0 +1,196 @@
+// lib/lostark-api.js
+// Lost Ark API 공용 클라이언트
+//   - 응답의 X-RateLimit-* 헤더로 맞춰지는 토큰 버킷 (기본 분당 100회)
+//   - 같은 URL(POST 는 URL + 본문) 동시 요청은 하나의 호출로 합침
+//   - 429 / 5xx / 네트워크 오류는 백오프 후 재시도
+//   - stale-while-revalidate 캐시 (오래된 값은 바로 주고 뒤에서 갱신, 실패 시에도 사용)
+import axios from 'axios';
+import { Agent as HttpAgent } from 'http';
+import { Agent as HttpsAgent } from 'https';
+
+const wait = (ms) => new Promise((res) => setTimeout(res, ms));
+
+class TokenBucket {
+  constructor(perMinute) {
+    this.setLimit(perMinute);
+    this.tokens = perMinute;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  setLimit(perMinute) {
+    this.capacity = perMinute;
+    this.refillPerMs = perMinute / 60000;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  async take() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await wait(this.pausedUntil - now);
+        continue;
+      }
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await wait(Math.ceil((1 - this.tokens) / this.refillPerMs));
+    }
+  }
+
+  // 서버가 알려 준 남은 횟수 / 리셋 시각에 맞추기
+  sync({ limit, remaining, resetAt }) {
+    if (limit > 0 && limit !== this.capacity) this.setLimit(limit);
+    if (remaining != null) {
+      this.refill();
+      this.tokens = Math.min(this.tokens, remaining);
+      if (remaining <= 0 && resetAt) this.pausedUntil = Math.max(this.pausedUntil, resetAt);
+    }
+  }
+
+  pauseUntil(ts) {
+    this.pausedUntil = Math.max(this.pausedUntil, ts);
+  }
+}
+
+function headerNum(headers, name) {
+  const v = headers?.[name];
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function isRetryable(e) {
+  const status = e?.response?.status;
+  if (status == null) return !axios.isCancel(e); // 네트워크 오류 / 타임아웃
+  return status === 429 || status >= 500;
+}
+
+export const DEFAULT_BASE_URL = 'https://developer-lostark.game.onstove.com';
+
+export function createLostArkClient({
+  baseURL = DEFAULT_BASE_URL,  // 테스트에서는 로컬 목 서버 주소
+  apiKey,
+  timeout = 10000,
+  perMinute = 100,
+  ttlMs = 60 * 1000,           // 이 시간 동안은 캐시 그대로 사용
+  staleMs = 10 * 60 * 1000,    // ttl 이후 이 시간까지는 캐시를 주고 뒤에서 갱신
+  maxRetries = 3,
+  retryBaseMs = 1000,
+  maxCacheEntries = 2000,
+  onResponse = null,           // ({ url, status, ok }) — 호출 1회마다 (재시도 포함), 지표 수집용
+} = {}) {
+  const http = axios.create({
+    baseURL,
+    headers: { Authorization: `Bearer ${apiKey}` },
+    timeout,
+    httpAgent:  new HttpAgent({ keepAlive: true }),
+    httpsAgent: new HttpsAgent({ keepAlive: true }),
+  });
+
+  const bucket = new TokenBucket(perMinute);
+  const cache = new Map();     // key -> { data, ts }  (GET: url, POST: 'POST url 본문')
+  const inflight = new Map();  // key -> Promise
+
+  function syncFromHeaders(headers) {
+    const reset = headerNum(headers, 'x-ratelimit-reset'); // epoch seconds
+    bucket.sync({
+      limit: headerNum(headers, 'x-ratelimit-limit'),
+      remaining: headerNum(headers, 'x-ratelimit-remaining'),
+      resetAt: reset ? reset * 1000 : null,
+    });
+  }
+
+  async function request(url, body) {
+    for (let attempt = 0; ; attempt++) {
+      await bucket.take();
+      try {
+        const res = body === undefined ? await http.get(url) : await http.post(url, body);
+        syncFromHeaders(res.headers);
+        onResponse?.({ url, status: res.status, ok: true });
+        return res.data;
+      } catch (e) {
+        if (e.response) syncFromHeaders(e.response.headers);
+        onResponse?.({ url, status: e.response?.status ?? e.code ?? 'error', ok: false });
+        if (!isRetryable(e) || attempt >= maxRetries) throw e;
+
+        const retryAfter = headerNum(e.response?.headers, 'retry-after');
+        const delay = retryAfter != null
+          ? retryAfter * 1000
+          : retryBaseMs * 2 ** attempt + Math.floor(Math.random() * retryBaseMs);
+        if (e.response?.status === 429) bucket.pauseUntil(Date.now() + delay);
+        console.error(
+          `[API RETRY] ${url} status=${e.response?.status ?? e.code} ` +
+          `try=${attempt + 1}/${maxRetries} wait=${delay}ms`,
+        );
+        await wait(delay);
+      }
+    }
+  }
+
+  function store(key, data) {
+    cache.set(key, { data, ts: Date.now() });
+    if (cache.size <= maxCacheEntries) return;
+    // 완전히 만료된 것부터 정리, 그래도 많으면 오래된 순으로
+    const expireBefore = Date.now() - ttlMs - staleMs;
+    for (const [k, v] of cache) {
+      if (cache.size <= maxCacheEntries) break;
+      if (v.ts < expireBefore) cache.delete(k);
+    }
+    for (const k of cache.keys()) {
+      if (cache.size <= maxCacheEntries) break;
+      cache.delete(k);
+    }
+  }
+
+  // 같은 키는 진행 중인 호출 하나만
+  function fetchShared(key, url, body) {
+    let p = inflight.get(key);
+    if (!p) {
+      p = request(url, body)
+        .then((data) => { store(key, data); return data; })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, p);
+    }
+    return p;
+  }
+
+  // force      : 신선한 캐시도 무시하고 새로 받음 (동시 요청은 합침)
+  // allowStale : false 면 ttl 지난 캐시를 바로 주지 않고 새로 받음 (자동 갱신용)
+  // 어느 경우든 호출이 끝내 실패하면 남아 있는 캐시로 대체
+  async function cachedFetch(key, url, body, { force = false, allowStale = true } = {}) {
+    const c = cache.get(key);
+    const age = c ? Date.now() - c.ts : Infinity;
+
+    if (!force && age < ttlMs) return c.data;
+    if (!force && allowStale && age < ttlMs + staleMs) {
+      fetchShared(key, url, body).catch((e) => {
+        console.error('[API REVALIDATE FAIL]', url, e?.response?.status ?? e?.message ?? e);
+      });
+      return c.data;
+    }
+
+    try {
+      return await fetchShared(key, url, body);
+    } catch (e) {
+      if (c) {
+        console.error('[API FAIL → stale cache]', url, e?.response?.status ?? e?.message ?? e);
+        return c.data;
+      }
+      throw e;
+    }
+  }
+
+  const get = (url, opts) => cachedFetch(url, url, undefined, opts);
+  // 검색형 POST (거래소 / 경매장) — 같은 본문이면 같은 캐시
+  const post = (url, body, opts) => cachedFetch(`POST ${url} ${JSON.stringify(body)}`, url, body, opts);
+
+  return { get, post };
+}
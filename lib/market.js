@@ -0,0 +1,75 @@
+// lib/market.js
+// /market — 거래소(POST /markets/items) · 경매장(POST /auctions/items) 시세 검색, 감시 목록 알림 판정, 시세 기록
+export const MARKET_CATEGORIES = {
+  honing:    { name: '강화 재료', code: 50000, source: 'market' },
+  engraving: { name: '각인서', code: 40000, source: 'market' },
+  battle:    { name: '배틀 아이템', code: 60000, source: 'market' },
+  cooking:   { name: '요리', code: 70000, source: 'market' },
+  life:      { name: '생활', code: 90000, source: 'market' },
+  gem:       { name: '보석 (경매장)', code: 210000, source: 'auction' },
+};
+
+export const WATCH_DIRECTIONS = {
+  below: '이하로 떨어지면',
+  above: '이상으로 오르면',
+};
+
+export const PRICE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 시세 기록 보관 기간
+
+const norm = (s) => String(s ?? '').replace(/\s+/g, '').toLowerCase();
+
+// 검색 요청 본문
+export function searchBody(category, itemName) {
+  const c = MARKET_CATEGORIES[category];
+  if (c.source === 'auction') {
+    return { CategoryCode: c.code, ItemName: itemName, Sort: 'BUY_PRICE', SortCondition: 'ASC', PageNo: 1 };
+  }
+  return { CategoryCode: c.code, ItemName: itemName, Sort: 'CURRENT_MIN_PRICE', SortCondition: 'ASC', PageNo: 1 };
+}
+
+// 검색 결과 → { name, grade, icon, price, bundle, yesterday } (이름이 정확히 같은 항목만, 없으면 null)
+// 검색은 부분 일치라 첫 항목으로 대신하면 다른 아이템 시세로 알림이 갈 수 있음
+export function pickQuote(category, res, itemName) {
+  const items = Array.isArray(res?.Items) ? res.Items : [];
+  if (MARKET_CATEGORIES[category].source === 'auction') {
+    // 경매장: 이름이 같은 매물 중 즉시 구매가 최저
+    const list = items.filter((it) => norm(it.Name) === norm(itemName) && it.AuctionInfo?.BuyPrice > 0);
+    if (!list.length) return null;
+    const best = list.reduce((a, b) => (b.AuctionInfo.BuyPrice < a.AuctionInfo.BuyPrice ? b : a));
+    return { name: best.Name, grade: best.Grade ?? null, icon: best.Icon ?? null, price: best.AuctionInfo.BuyPrice, bundle: 1, yesterday: null };
+  }
+  const it = items.find((x) => norm(x.Name) === norm(itemName));
+  if (!it || it.CurrentMinPrice == null) return null;
+  return {
+    name: it.Name,
+    grade: it.Grade ?? null,
+    icon: it.Icon ?? null,
+    price: it.CurrentMinPrice,
+    bundle: it.BundleCount || 1,
+    yesterday: it.YDayAvgPrice ?? null,
+  };
+}
+
+// 가격이 기준을 넘었는지
+export const watchHit = (watch, price) => (watch.direction === 'above' ? price >= watch.threshold : price <= watch.threshold);
+
+// 기준을 "넘어가는 순간"만 알림 (계속 넘어 있는 동안은 다시 알리지 않음)
+// → { notify, hit } — hit 은 watch.hit 에 저장
+export function checkWatch(watch, price) {
+  if (price == null) return { notify: false, hit: watch.hit === true };
+  const hit = watchHit(watch, price);
+  return { notify: hit && watch.hit !== true, hit };
+}
+
+// 시세 기록 추가 (같은 값이 이어지면 마지막 시각만 갱신, 최근 limit 개 / retentionMs 이내만 보관)
+export function pushPrice(list, price, { now = Date.now(), limit = 96, retentionMs = PRICE_RETENTION_MS } = {}) {
+  const out = (list || []).filter((p) => now - p.ts <= retentionMs);
+  const last = out[out.length - 1];
+  if (last && last.price === price && out.length >= 2 && out[out.length - 2].price === price) last.ts = now;
+  else out.push({ ts: now, price });
+  return out.slice(-limit);
+}
+
+export const formatGold = (n) => (n == null ? '-' : `${Number(n).toLocaleString('ko-KR', { maximumFractionDigits: 1 })}G`);
+
+export const watchKey = (category, itemName) => `${category}:${norm(itemName)}`;
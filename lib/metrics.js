@@ -0,0 +1,79 @@
+// lib/metrics.js
+// /healthz · /status · /metrics 용 — 누적 카운터 + 최근 구간(기본 15분) 호출 결과 + 최근 실패 목록, Prometheus 텍스트 출력
+export function createMetrics({ windowMs = 15 * 60 * 1000, keepFailures = 20 } = {}) {
+  const counters = new Map(); // 'name{labels}' -> { name, labels, value }
+  const events = new Map();   // kind -> [{ ts, ok }]
+  const failures = [];        // [{ ts, kind, ...detail }] 최신이 앞
+
+  const labelKey = (name, labels) => `${name}${JSON.stringify(labels)}`;
+
+  function inc(name, labels = {}, n = 1) {
+    const key = labelKey(name, labels);
+    const c = counters.get(key) ?? { name, labels, value: 0 };
+    c.value += n;
+    counters.set(key, c);
+  }
+
+  // 구간 비율 계산용 (성공/실패)
+  function observe(kind, ok, now = Date.now()) {
+    const list = events.get(kind) ?? [];
+    list.push({ ts: now, ok });
+    while (list.length && now - list[0].ts > windowMs) list.shift();
+    events.set(kind, list);
+  }
+
+  function rate(kind, now = Date.now()) {
+    const list = (events.get(kind) ?? []).filter((e) => now - e.ts <= windowMs);
+    const errors = list.filter((e) => !e.ok).length;
+    return { total: list.length, errors, ratio: list.length ? errors / list.length : 0 };
+  }
+
+  function fail(kind, detail = {}, now = Date.now()) {
+    failures.unshift({ ts: now, kind, ...detail });
+    failures.length = Math.min(failures.length, keepFailures);
+  }
+
+  return {
+    windowMs,
+    inc,
+    observe,
+    rate,
+    fail,
+    counters: (name) => [...counters.values()].filter((c) => !name || c.name === name),
+    failures: (kind) => failures.filter((f) => !kind || f.kind === kind),
+  };
+}
+
+// 게이트웨이 연결 + 마지막 성공 tick 시각으로 건강 상태 판단 (무엇을 성공으로 볼지는 호출 측)
+// readyAt 이후 maxTickAgeMs 가 지나기 전이면 첫 tick 을 기다리는 중으로 봄
+export function healthState({ connected, loginFailed, readyAt, lastTickAt, maxTickAgeMs, now = Date.now() }) {
+  const reasons = [];
+  if (loginFailed) reasons.push('discord login failed');
+  else if (!connected) reasons.push('gateway disconnected');
+  const since = lastTickAt ?? readyAt;
+  if (connected && since != null && now - since > maxTickAgeMs) {
+    reasons.push(lastTickAt ? 'refresh tick stale' : 'no successful refresh tick');
+  }
+  return { ok: reasons.length === 0, reasons };
+}
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+// families: [{ name, help, type: 'counter'|'gauge', samples: [{ labels, value }] }]
+export function formatPrometheus(families) {
+  const lines = [];
+  for (const f of families) {
+    lines.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`);
+    for (const s of f.samples) {
+      const v = Number.isFinite(s.value) ? s.value : 0;
+      lines.push(`${f.name}${formatLabels(s.labels)} ${v}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,55 @@
+// lib/personal-view.js
+// 개인 캐릭터 목록(/mychars, 개인 고정 메시지) 본문 — API 응답 → embed 제목/본문/필드 + 상세 드롭다운 옵션
+// 디스코드 객체는 만들지 않음 (index.js 에서 EmbedBuilder 로 감쌈)
+import { formatArkPassive } from './ark-passive.js';
+
+const toLevelNum = (s) => parseFloat(String(s).replace(/,/g, '') || '0');
+
+export const sortByLevel = (chars) =>
+  [...(Array.isArray(chars) ? chars : [])].sort((a, b) => toLevelNum(b.ItemAvgLevel) - toLevelNum(a.ItemAvgLevel));
+
+export const characterLine = (c) =>
+  `• **${c.CharacterName}** (${c.CharacterClassName}) — ${c.ServerName} | 아이템 레벨 ${c.ItemAvgLevel}`;
+
+// ArmoryProfile.CombatPower → 표시 문자열
+export function formatCombatPower(profile) {
+  const p = profile?.ArmoryProfile || profile;
+  if (p?.CombatPower == null) return '정보 없음';
+  const n = Number(String(p.CombatPower).replace(/,/g, ''));
+  return Number.isFinite(n) ? n.toLocaleString('ko-KR') : String(p.CombatPower);
+}
+
+// 이 메시지의 로스터 말고 등록해 둔 다른 로스터 목록 (없으면 null)
+export function otherRostersText(link, mainName) {
+  const others = (Array.isArray(link?.rosters) ? link.rosters : []).filter((r) => r.main !== mainName);
+  if (!others.length) return null;
+  return others
+    .map((r) => `• ${r.main}${r.main === link.main ? ' ⭐주 로스터' : ''}${r.verified ? '' : ' ❔미인증'}`)
+    .join('\n');
+}
+
+// 디스코드 드롭다운 옵션 최대 25개
+export const detailSelectOptions = (sorted) => sorted.slice(0, 25).map((c) => ({
+  label: c.CharacterName,
+  description: `${c.CharacterClassName} • ${c.ItemAvgLevel}`,
+  value: c.CharacterName,
+}));
+
+// profile / ark 는 조회 실패면 null → '정보 없음'
+// → { title, description, fields: [{ name, value, inline? }], selectOptions }
+export function personalViewData({ displayName, sorted, mainName, profile, ark, homeworkTitle, homeworkText, link }) {
+  const fields = [
+    { name: '⚔ 전투력 (메인캐릭)', value: formatCombatPower(profile), inline: true },
+    { name: '🌌 아크 패시브 (메인캐릭)', value: ark == null ? '정보 없음' : formatArkPassive(ark), inline: false },
+  ];
+  if (homeworkText) fields.push({ name: homeworkTitle, value: homeworkText });
+  const others = otherRostersText(link, mainName);
+  if (others) fields.push({ name: '📚 다른 로스터', value: others });
+
+  return {
+    title: `**${displayName}**님의 캐릭터 목록`,
+    description: sorted.map(characterLine).join('\n'),
+    fields,
+    selectOptions: detailSelectOptions(sorted),
+  };
+}
@@ -0,0 +1,76 @@
+// lib/raid-party.js
+// 레이드 모집 파티 상태 (참가 / 대기 / 탈퇴) — 디스코드와 무관한 순수 로직
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+export const ROLE_LABELS = { dealer: '딜러', support: '서포터' };
+
+// 4인 기준 서포터 1명
+export function roleSlots(size) {
+  const support = Math.max(1, Math.floor(size / 4));
+  return { dealer: size - support, support };
+}
+
+export const membersOf = (party, role) => party.members.filter((m) => m.role === role);
+
+// 한 유저는 파티에 한 자리만: 다시 참가하면 이전 자리(대기 포함)를 비우고 새로 배정
+// 결과: { status: 'joined' | 'waitlisted', promoted }
+export function joinParty(party, entry) {
+  const { promoted } = leaveParty(party, entry.userId);
+  const slots = roleSlots(party.size);
+  if (membersOf(party, entry.role).length < slots[entry.role]) {
+    party.members.push(entry);
+    return { status: 'joined', promoted };
+  }
+  party.waitlist.push(entry);
+  return { status: 'waitlisted', promoted };
+}
+
+// 결과: { removed, promoted } — 참가자가 빠지면 같은 역할 대기 1순위가 올라감
+export function leaveParty(party, userId) {
+  const idx = party.members.findIndex((m) => m.userId === userId);
+  if (idx === -1) {
+    const w = party.waitlist.findIndex((m) => m.userId === userId);
+    if (w === -1) return { removed: null, promoted: null };
+    const [removed] = party.waitlist.splice(w, 1);
+    return { removed, promoted: null };
+  }
+
+  const [removed] = party.members.splice(idx, 1);
+  const next = party.waitlist.findIndex((m) => m.role === removed.role);
+  if (next === -1) return { removed, promoted: null };
+  const [promoted] = party.waitlist.splice(next, 1);
+  party.members.push(promoted);
+  return { removed, promoted };
+}
+
+// "2026-10-21 20:00", "10/21 20:00", "20:00" (다음 해당 시각) → epoch ms (KST 기준), 실패 시 null
+export function parseKstDateTime(input, now = Date.now()) {
+  const s = String(input).trim();
+  const nowKst = new Date(now + KST_OFFSET_MS);
+  let y = nowKst.getUTCFullYear();
+  let mo = nowKst.getUTCMonth() + 1;
+  let d = nowKst.getUTCDate();
+  let m;
+
+  if ((m = s.match(/^(\d{4})[-./](\d{1,2})[-./](\d{1,2})\s+(\d{1,2}):(\d{2})$/))) {
+    [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+    m = m.slice(4);
+  } else if ((m = s.match(/^(\d{1,2})[-./](\d{1,2})\s+(\d{1,2}):(\d{2})$/))) {
+    [mo, d] = [Number(m[1]), Number(m[2])];
+    m = m.slice(3);
+  } else if ((m = s.match(/^(\d{1,2}):(\d{2})$/))) {
+    m = m.slice(1);
+  } else {
+    return null;
+  }
+
+  const [h, min] = m.map(Number);
+  if (h > 23 || min > 59 || mo < 1 || mo > 12 || d < 1 || d > 31) return null;
+  const local = new Date(Date.UTC(y, mo - 1, d, h, min));
+  // 2월 30일처럼 없는 날짜는 Date.UTC 가 다음 달로 넘기므로 되돌려 비교
+  if (local.getUTCFullYear() !== y || local.getUTCMonth() !== mo - 1 || local.getUTCDate() !== d) return null;
+  let ts = local.getTime() - KST_OFFSET_MS;
+  // 시각만 주면 이미 지난 경우 다음 날
+  if (s.length <= 5 && ts <= now) ts += 24 * 60 * 60 * 1000;
+  return ts;
+}
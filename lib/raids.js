@@ -0,0 +1,92 @@
+// lib/raids.js
+// 주간 레이드 목록 / 입장 레벨 / 주간 초기화(수요일 06:00 KST) 계산
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const RESET_HOUR_KST = 6;
+const RESET_DAY = 3; // 수요일
+
+// 입장 가능 아이템 레벨 기준 (난이도 낮은 순)
+export const RAIDS = [
+  {
+    id: 'kamen', name: '카멘', difficulties: [
+      { key: 'normal', label: '노말', minLevel: 1610 },
+      { key: 'hard',   label: '하드', minLevel: 1630 },
+    ],
+  },
+  {
+    id: 'echidna', name: '에키드나', difficulties: [
+      { key: 'normal', label: '노말', minLevel: 1620 },
+      { key: 'hard',   label: '하드', minLevel: 1640 },
+    ],
+  },
+  {
+    id: 'behemoth', name: '베히모스', difficulties: [
+      { key: 'normal', label: '노말', minLevel: 1640 },
+    ],
+  },
+  {
+    id: 'aegir', name: '에기르', difficulties: [
+      { key: 'normal', label: '노말', minLevel: 1660 },
+      { key: 'hard',   label: '하드', minLevel: 1680 },
+    ],
+  },
+  {
+    id: 'abrelshud2', name: '아브2막', difficulties: [
+      { key: 'normal', label: '노말', minLevel: 1670 },
+      { key: 'hard',   label: '하드', minLevel: 1690 },
+    ],
+  },
+  {
+    id: 'mordum', name: '모르둠', difficulties: [
+      { key: 'normal', label: '노말', minLevel: 1680 },
+      { key: 'hard',   label: '하드', minLevel: 1700 },
+    ],
+  },
+  {
+    id: 'armoche', name: '아르모체', difficulties: [
+      { key: 'normal', label: '노말', minLevel: 1700 },
+      { key: 'hard',   label: '하드', minLevel: 1720 },
+    ],
+  },
+  {
+    id: 'kazeros', name: '카제로스', difficulties: [
+      { key: 'normal', label: '노말', minLevel: 1710 },
+      { key: 'hard',   label: '하드', minLevel: 1730 },
+    ],
+  },
+];
+
+export const getRaid = (id) => RAIDS.find((r) => r.id === id) || null;
+
+// 레벨로 입장 가능한 레이드 (레이드마다 가능한 가장 높은 난이도), 입장 레벨 높은 순
+export function eligibleRaids(itemLevel) {
+  const out = [];
+  for (const raid of RAIDS) {
+    const diff = [...raid.difficulties].reverse().find((d) => itemLevel >= d.minLevel);
+    if (diff) out.push({ id: raid.id, name: raid.name, difficulty: diff.label, minLevel: diff.minLevel });
+  }
+  return out.sort((a, b) => b.minLevel - a.minLevel);
+}
+
+// 이번 주 숙제 대상 (골드 보상 기준 상위 limit 개)
+export function homeworkRaids(itemLevel, limit = 3) {
+  return eligibleRaids(itemLevel).slice(0, limit);
+}
+
+// 이번 주차 키 = 가장 최근 초기화 시점의 KST 날짜 (YYYY-MM-DD)
+export function weekKey(now = Date.now()) {
+  // KST 06:00 을 자정으로 보이도록 시간을 옮긴 뒤 가장 최근 수요일을 찾음
+  const shifted = new Date(now + KST_OFFSET_MS - RESET_HOUR_KST * 60 * 60 * 1000);
+  const back = (shifted.getUTCDay() - RESET_DAY + 7) % 7;
+  shifted.setUTCDate(shifted.getUTCDate() - back);
+  return shifted.toISOString().slice(0, 10);
+}
+
+// 다음 초기화 시각 (epoch ms)
+export function nextResetAt(now = Date.now()) {
+  const [y, m, d] = weekKey(now).split('-').map(Number);
+  return Date.UTC(y, m - 1, d + 7, RESET_HOUR_KST) - KST_OFFSET_MS;
+}
+
+// 서포터 클래스 (나머지는 딜러)
+export const SUPPORT_CLASSES = ['바드', '홀리나이트', '도화가', '발키리'];
+export const isSupportClass = (className) => SUPPORT_CLASSES.includes(className);
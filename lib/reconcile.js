@@ -0,0 +1,41 @@
+// lib/reconcile.js
+// 관리 중인 메시지(보드 / 개인 고정) 상태 — 연속 실패 횟수를 세고, 영구히 사라진 것은 정리 대상으로
+// 디스코드 오류 코드 (discord-api-types RESTJSONErrorCodes)
+const UNKNOWN_CHANNEL = 10003;
+const UNKNOWN_GUILD = 10004;
+const UNKNOWN_MESSAGE = 10008;
+const MISSING_ACCESS = 50001;
+const MISSING_PERMISSIONS = 50013;
+
+export const MAX_EDIT_FAILURES = 5; // 접근 불가가 이만큼 이어지면 정리
+
+// 편집 실패 → 'gone'(404, 바로 정리) | 'no-access'(권한, N번 후 정리) | 'error'(일시 오류, 정리 안 함)
+export function classifyEditFailure(code) {
+  if ([UNKNOWN_CHANNEL, UNKNOWN_GUILD, UNKNOWN_MESSAGE].includes(code)) return 'gone';
+  if ([MISSING_ACCESS, MISSING_PERMISSIONS].includes(code)) return 'no-access';
+  return 'error';
+}
+
+// prev: 이전 상태 (없으면 undefined), result: 'edited' | 'unchanged' | 'gone' | 'no-access' | 'error'
+// → { health, prune } — prune 이면 관리 목록에서 정리
+export function nextEditHealth(prev, result, { error = null, now = Date.now(), maxFailures = MAX_EDIT_FAILURES } = {}) {
+  if (result === 'edited' || result === 'unchanged') {
+    return { health: { failures: 0, lastOkAt: now }, prune: false };
+  }
+  const health = {
+    failures: (prev?.failures ?? 0) + 1,
+    lastOkAt: prev?.lastOkAt ?? null,
+    lastError: error ? `${result}: ${error}` : result,
+    lastErrorAt: now,
+  };
+  const prune = result === 'gone' || (result === 'no-access' && health.failures >= maxFailures);
+  return { health, prune };
+}
+
+// /board-list 한 줄용 상태 표시
+export function healthBadge(health, { maxFailures = MAX_EDIT_FAILURES } = {}) {
+  if (!health) return '⏳ 아직 갱신 전';
+  if (!health.failures) return '✅ 정상';
+  const mark = health.failures >= maxFailures - 1 ? '🛑' : '⚠️';
+  return `${mark} 연속 실패 ${health.failures}회 (${health.lastError})`;
+}
@@ -0,0 +1,46 @@
+// lib/roles.js
+// 아이템 레벨 구간 / 직업 분류(서포터·딜러) → 디스코드 역할 계산
+// config: { levels: [{ minLevel, roleId }], classes: { support?, dealer? } }
+import { isSupportClass } from './raids.js';
+
+export function emptyRoleConfig() {
+  return { levels: [], classes: {} };
+}
+
+// 설정에 나오는 모든 역할 (봇이 관리하는 역할)
+export function managedRoleIds(config) {
+  const ids = new Set((config?.levels || []).map((l) => l.roleId));
+  for (const id of Object.values(config?.classes || {})) if (id) ids.add(id);
+  return ids;
+}
+
+// best: { className, level } — 레벨 구간은 만족하는 가장 높은 구간 하나만
+export function desiredRoleIds(config, best) {
+  const out = new Set();
+  if (!best) return out;
+  const bracket = [...(config?.levels || [])]
+    .sort((a, b) => b.minLevel - a.minLevel)
+    .find((l) => best.level >= l.minLevel);
+  if (bracket) out.add(bracket.roleId);
+
+  const category = isSupportClass(best.className) ? 'support' : 'dealer';
+  const classRole = config?.classes?.[category];
+  if (classRole) out.add(classRole);
+  return out;
+}
+
+// members: [{ userId, roleIds: Set|Array, best: {className, level} | null, known: boolean }]
+// known=false (조회 실패) 인 멤버는 건드리지 않음, best=null (연결 없음) 이면 관리 역할 전부 회수
+export function planRoleChanges(config, members) {
+  const managed = managedRoleIds(config);
+  const plan = [];
+  for (const m of members) {
+    if (m.known === false) continue;
+    const has = new Set(m.roleIds);
+    const want = desiredRoleIds(config, m.best);
+    const add = [...want].filter((id) => !has.has(id));
+    const remove = [...managed].filter((id) => has.has(id) && !want.has(id));
+    if (add.length || remove.length) plan.push({ userId: m.userId, add, remove });
+  }
+  return plan;
+}
@@ -0,0 +1,9 @@
+// lib/storage/errors.js
+// 저장소 쓰기/열기 실패 (조용히 삼키지 않고 호출 측까지 올린다)
+export class StorageError extends Error {
+  constructor(message, { cause, doc } = {}) {
+    super(message, { cause });
+    this.name = 'StorageError';
+    this.doc = doc;
+  }
+}
@@ -0,0 +1,41 @@
+// lib/storage/index.js
+// 저장소 인터페이스: load(name, fallback) / save(name, value) / close()
+//   - json   : <dir>/<name>.json (기본값)
+//   - sqlite : <dir>/loa-bot.sqlite
+import { createJsonStorage } from './json.js';
+import { createSqliteStorage } from './sqlite.js';
+import { runMigrations } from './migrations.js';
+
+export { StorageError } from './errors.js';
+export { LEGACY_GUILD_KEY } from './migrations.js';
+
+// documents: json → sqlite 전환 시 처음 한 번 옮겨 올 문서 이름들
+export async function openStorage({
+  driver = 'json',
+  dir = '.',
+  documents = [],
+  migrationContext = {},
+} = {}) {
+  let store;
+  if (driver === 'json') store = createJsonStorage({ dir });
+  else if (driver === 'sqlite') store = await createSqliteStorage({ dir });
+  else throw new Error(`알 수 없는 STORAGE_DRIVER: ${driver}`);
+
+  if (store.driver === 'sqlite' && store.load('meta', null) == null) {
+    importJsonDocuments(store, dir, documents);
+  }
+
+  const version = runMigrations(store, migrationContext);
+  console.log(`💾 storage=${store.driver} dir=${dir} schema=v${version}`);
+  return store;
+}
+
+function importJsonDocuments(store, dir, documents) {
+  const json = createJsonStorage({ dir });
+  for (const name of ['meta', ...documents]) {
+    const value = json.load(name, undefined);
+    if (value === undefined) continue;
+    store.save(name, value);
+    console.log(`📦 ${name}.json → ${store.driver} 로 가져옴`);
+  }
+}
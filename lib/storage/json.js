@@ -0,0 +1,50 @@
+// lib/storage/json.js
+// 문서 하나 = JSON 파일 하나 (<dir>/<name>.json), 쓰기는 임시 파일 → fsync → rename
+import fs from 'fs';
+import path from 'path';
+import { StorageError } from './errors.js';
+
+export function createJsonStorage({ dir = '.' } = {}) {
+  const fileOf = (name) => path.join(dir, `${name}.json`);
+
+  function load(name, fallback) {
+    const file = fileOf(name);
+    let raw;
+    try {
+      raw = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return fallback;
+      throw new StorageError(`${file} 읽기 실패`, { cause: e, doc: name });
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      // 깨진 파일은 덮어쓰기 전에 따로 보관
+      const backup = `${file}.corrupt-${Date.now()}`;
+      fs.copyFileSync(file, backup);
+      console.error(`🛑 ${file} JSON 파싱 실패 → ${backup} 로 백업 후 기본값 사용`, e.message);
+      return fallback;
+    }
+  }
+
+  function save(name, value) {
+    const file = fileOf(name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      const fd = fs.openSync(tmp, 'w');
+      try {
+        fs.writeFileSync(fd, JSON.stringify(value, null, 2), 'utf8');
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      // 같은 디렉터리 안의 rename 은 원자적 → 중간에 죽어도 이전 파일이 그대로 남음
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      fs.rmSync(tmp, { force: true });
+      throw new StorageError(`${file} 쓰기 실패`, { cause: e, doc: name });
+    }
+  }
+
+  return { driver: 'json', load, save, close() {} };
+}
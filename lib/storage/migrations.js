@@ -0,0 +1,96 @@
+// lib/storage/migrations.js
+// 버전별 스키마 마이그레이션 — meta.schemaVersion 보다 높은 것만 시작 시 1회 실행
+
+// GUILD_ID 없이 예전 links.json 을 만나면 여기에 보관 → 봇이 길드 하나에만 있으면 ready 에서 옮김
+export const LEGACY_GUILD_KEY = '_legacy';
+
+// 값에 링크 필드가 바로 있으면 예전 단일 길드 형식 { userId: {...} }
+function isLegacyLinks(obj) {
+  return Object.values(obj).some(
+    (v) => v && typeof v === 'object' && ('main' in v || 'personals' in v || 'personal' in v),
+  );
+}
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'guild-scoped-links',
+    // { userId: {...} } → { guildId: { userId: {...} } }
+    up(store, { defaultGuildId }) {
+      const links = store.load('links', {});
+      if (!isLegacyLinks(links)) return;
+      if (!defaultGuildId) {
+        console.warn(`⚠️ 예전 links.json 을 옮길 길드를 알 수 없어 '${LEGACY_GUILD_KEY}' 에 보관합니다. `
+          + '봇이 길드 하나에만 있으면 시작 후 그 길드로 옮기고, 아니면 GUILD_ID 를 설정해 다시 시작해 주세요.');
+      }
+      store.save('links', { [defaultGuildId || LEGACY_GUILD_KEY]: links });
+    },
+  },
+  {
+    version: 2,
+    name: 'personal-to-personals',
+    // 예전 single personal 필드 → personals 배열
+    up(store) {
+      const links = store.load('links', {});
+      for (const members of Object.values(links)) {
+        for (const info of Object.values(members)) {
+          if (!info || typeof info !== 'object') continue;
+          if (!Array.isArray(info.personals)) info.personals = [];
+          if (info.personal) {
+            if (!info.personals.length) info.personals.push({ ...info.personal, main: info.main });
+            delete info.personal;
+          }
+        }
+      }
+      store.save('links', links);
+    },
+  },
+  {
+    version: 3,
+    name: 'board-guild-id',
+    // guildId 없는 보드 항목에 기본 길드 채우기 (모르면 갱신 시 채널에서 채움)
+    up(store, { defaultGuildId }) {
+      const boards = store.load('boards', []);
+      if (!defaultGuildId || boards.every((b) => b.guildId)) return;
+      store.save('boards', boards.map((b) => ({ guildId: defaultGuildId, ...b })));
+    },
+  },
+  {
+    version: 4,
+    name: 'multi-rosters',
+    // 단일 main + 인증 필드 → rosters 배열 (main 은 주 로스터 대표로 유지)
+    up(store) {
+      const links = store.load('links', {});
+      for (const members of Object.values(links)) {
+        for (const info of Object.values(members)) {
+          if (!info || typeof info !== 'object' || Array.isArray(info.rosters)) continue;
+          info.rosters = info.main
+            ? [{
+              main: info.main,
+              verified: info.verified === true,
+              ...(info.verifyMethod ? { verifyMethod: info.verifyMethod } : {}),
+              ...(info.verifyCode ? { verifyCode: info.verifyCode } : {}),
+            }]
+            : [];
+          delete info.verified;
+          delete info.verifyMethod;
+          delete info.verifyCode;
+        }
+      }
+      store.save('links', links);
+    },
+  },
+];
+
+export function runMigrations(store, context = {}) {
+  const meta = store.load('meta', {});
+  const current = meta.schemaVersion ?? 0;
+  for (const m of migrations) {
+    if (m.version <= current) continue;
+    m.up(store, context);
+    meta.schemaVersion = m.version;
+    store.save('meta', meta);
+    console.log(`📦 migration ${m.version} (${m.name}) applied`);
+  }
+  return meta.schemaVersion ?? current;
+}
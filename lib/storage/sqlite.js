@@ -0,0 +1,51 @@
+// lib/storage/sqlite.js
+// 내장 SQLite (better-sqlite3, optionalDependency) — documents 테이블에 JSON 으로 저장
+import path from 'path';
+import { StorageError } from './errors.js';
+
+export async function createSqliteStorage({ dir = '.', file = 'loa-bot.sqlite' } = {}) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (e) {
+    throw new StorageError('STORAGE_DRIVER=sqlite 에는 better-sqlite3 패키지가 필요합니다.', { cause: e });
+  }
+
+  const dbPath = path.join(dir, file);
+  let db;
+  try {
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS documents (
+      name       TEXT PRIMARY KEY,
+      value      TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )`);
+  } catch (e) {
+    throw new StorageError(`${dbPath} 열기 실패`, { cause: e });
+  }
+
+  const selectStmt = db.prepare('SELECT value FROM documents WHERE name = ?');
+  const upsertStmt = db.prepare(`INSERT INTO documents (name, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`);
+
+  function load(name, fallback) {
+    let row;
+    try {
+      row = selectStmt.get(name);
+    } catch (e) {
+      throw new StorageError(`${name} 읽기 실패`, { cause: e, doc: name });
+    }
+    return row ? JSON.parse(row.value) : fallback;
+  }
+
+  function save(name, value) {
+    try {
+      upsertStmt.run(name, JSON.stringify(value), Date.now());
+    } catch (e) {
+      throw new StorageError(`${name} 쓰기 실패`, { cause: e, doc: name });
+    }
+  }
+
+  return { driver: 'sqlite', load, save, close: () => db.close() };
+}
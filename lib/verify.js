@@ -0,0 +1,43 @@
+// lib/verify.js
+// /link 인증 — 인게임 길드 이름 확인 또는 프로필 문구에 넣은 1회용 코드 확인, 같은 로스터 중복 등록 찾기
+import crypto from 'crypto';
+
+export const newVerifyCode = () => `LOA-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+const norm = (s) => String(s ?? '').replace(/\s+/g, '').toLowerCase();
+
+// ArmoryProfile.GuildName 이 설정한 인게임 길드와 같은지
+export function guildMatches(profile, guildName) {
+  return Boolean(guildName && profile?.GuildName && norm(profile.GuildName) === norm(guildName));
+}
+
+// 프로필의 문자열 항목(영지 이름, 칭호 등) 어디에든 코드가 들어 있는지
+export function profileHasCode(profile, code) {
+  if (!profile || !code) return false;
+  return Object.values(profile).some((v) => typeof v === 'string' && norm(v).includes(norm(code)));
+}
+
+// 같은 로스터(형제 캐릭터 이름 목록)를 등록한 다른 유저들
+// members: { userId: { rosters: [{ main, verified }] } }
+export function findRosterClaims(members, rosterNames, selfId) {
+  const names = new Set(rosterNames);
+  const claims = [];
+  for (const [userId, info] of Object.entries(members || {})) {
+    if (userId === selfId) continue;
+    for (const r of info?.rosters || []) {
+      if (r?.main && names.has(r.main)) claims.push({ userId, main: r.main, verified: r.verified === true });
+    }
+  }
+  return claims;
+}
+
+// fetchRosters 결과에 중복 표시: 다른 유저의 로스터에 내 대표 캐릭터가 들어 있으면 duplicate
+export function markDuplicateRosters(rosters) {
+  const byUser = rosters
+    .filter((r) => Array.isArray(r.chars))
+    .map((r) => ({ r, names: new Set(r.chars.map((c) => c.CharacterName)) }));
+  for (const { r } of byUser) {
+    r.duplicate = byUser.some((o) => o.r.userId !== r.userId && o.names.has(r.main));
+  }
+  return rosters;
+}
@@ -0,0 +1,94 @@
+// lib/web.js
+// 읽기 전용 웹 로스터 — 길드별 토큰 확인, /api/roster JSON 모양, 서버 렌더링 HTML 리더보드
+import crypto from 'crypto';
+import { BOARD_SORTS } from './board.js';
+
+// 길드 토큰과 ?token= 또는 Authorization: Bearer 가 같아야 (토큰이 없으면 항상 거절)
+export function tokenAllowed(token, { query, authorization } = {}) {
+  if (!token) return false;
+  const given = query || String(authorization ?? '').replace(/^Bearer\s+/i, '');
+  if (!given) return false;
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(token));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// 보드 항목(유저별 최고 캐릭터) → JSON 행
+export function rosterRows(entries, names = new Map()) {
+  return entries.map((e, idx) => ({
+    rank: idx + 1,
+    userId: e.userId,
+    displayName: names.get(e.userId) ?? null,
+    character: e.name,
+    className: e.cls,
+    server: e.server,
+    itemLevel: e.levelNum,
+    combatPower: e.combatPower ?? null,
+    verified: e.verified,
+  }));
+}
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[c]));
+
+const num = (v, digits = 0) => (v == null
+  ? '-'
+  : v.toLocaleString('ko-KR', { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+
+// 정렬 링크에 guild / token 을 그대로 유지
+function sortHref(sort, params) {
+  const q = new URLSearchParams({ ...params, sort });
+  return `?${escapeHtml(q.toString())}`;
+}
+
+export function renderRosterHtml({ title, guildName, rows, sort, params = {}, generatedAt = new Date() }) {
+  const head = (key, label) => (key === sort
+    ? `<th>${escapeHtml(label)} ▼</th>`
+    : `<th><a href="${sortHref(key, params)}">${escapeHtml(label)}</a></th>`);
+  const body = rows.length
+    ? rows.map((r) => `<tr>
+  <td>${r.rank}</td>
+  <td>${escapeHtml(r.displayName ?? r.userId)}</td>
+  <td>${escapeHtml(r.character)}${r.verified ? '' : ' <span title="미인증">❔</span>'}</td>
+  <td>${escapeHtml(r.className)}</td>
+  <td>${escapeHtml(r.server)}</td>
+  <td class="n">${num(r.itemLevel, 2)}</td>
+  <td class="n">${num(r.combatPower, 2)}</td>
+</tr>`).join('\n')
+    : '<tr><td colspan="7">등록된 유저가 없습니다.</td></tr>';
+
+  return `<!doctype html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; width: 100%; max-width: 960px; }
+  th, td { padding: .4rem .6rem; border-bottom: 1px solid #ddd; text-align: left; }
+  th a { color: inherit; }
+  td.n { text-align: right; font-variant-numeric: tabular-nums; }
+  footer { margin-top: 1rem; color: #888; font-size: .85rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(guildName)}</p>
+<table>
+<thead><tr>
+  <th>#</th><th>유저</th><th>캐릭터</th>
+  ${head('class', '직업')}<th>서버</th>${head('level', '아이템 레벨')}${head('combatPower', '전투력')}
+</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+<footer>마지막 갱신: ${escapeHtml(generatedAt.toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' }))}</footer>
+</body>
+</html>
+`;
+}
+
+export const isWebSort = (s) => Object.hasOwn(BOARD_SORTS, s);
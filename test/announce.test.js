@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rosterSnapshot, unlockedRaids, diffRoster, formatAnnounceEvent } from '../lib/announce.js';
+
+const char = (CharacterName, ItemAvgLevel, CharacterClassName = '바드') => ({ CharacterName, ItemAvgLevel, CharacterClassName });
+
+test('입장 레벨을 넘어간 구간의 레이드만', () => {
+  assert.deepEqual(unlockedRaids(1655, 1665), ['에기르 노말']);
+  assert.deepEqual(unlockedRaids(1660, 1665), []); // 이미 입장 가능
+  assert.deepEqual(unlockedRaids(1675, 1680), ['에기르 하드', '모르둠 노말']);
+  assert.deepEqual(unlockedRaids(1700, 1690), []);
+});
+
+test('스냅샷 비교: 첫 관측은 알림 없음, 새 캐릭터 / 레벨업만', () => {
+  const before = [char('바드장인', '1,655.00'), char('창술창고', '1,600.00', '창술사')];
+  assert.deepEqual(diffRoster(null, before), []);
+
+  const prev = rosterSnapshot(before);
+  assert.deepEqual(prev, { 바드장인: 1655, 창술창고: 1600 });
+
+  const events = diffRoster(prev, [
+    char('바드장인', '1,661.67'),
+    char('창술창고', '1,600.00', '창술사'), // 그대로
+    char('소서본캐', '1,540.00', '소서리스'),
+  ]);
+  assert.deepEqual(events, [
+    { type: 'levelUp', name: '바드장인', className: '바드', from: 1655, to: 1661.67, raids: ['에기르 노말'] },
+    { type: 'new', name: '소서본캐', className: '소서리스', to: 1540, raids: [] },
+  ]);
+  assert.match(formatAnnounceEvent(events[0]), /1655\.00 → \*\*1661\.67\*\*[\s\S]*에기르 노말 입장 가능/);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArkPassive, formatArkPassive, signatureMatches } from '../lib/ark-passive.js';
+import { ARK_PASSIVE } from './data.js';
+
+test('노드 파싱과 빌드 시그니처', () => {
+  const { nodes, signature, points } = parseArkPassive(ARK_PASSIVE);
+  assert.equal(nodes.length, 4);
+  assert.deepEqual(nodes[0], { category: '진화', tier: 1, name: '특화', level: 30 });
+  assert.equal(signature, '절실한 구원 · 특화/신속');
+  assert.equal(points[0].description, '6랭크 25레벨');
+});
+
+test('요약 / 상세 표시', () => {
+  assert.equal(formatArkPassive(ARK_PASSIVE), '🧭 **절실한 구원 · 특화/신속**\n진화 120 (6랭크 25레벨) · 깨달음 101');
+  const detail = formatArkPassive(ARK_PASSIVE, { detail: true });
+  assert.match(detail, /\*\*도약\*\*\n• 1T 초월적인 힘 Lv\.3/);
+  assert.equal(formatArkPassive(null), '등록된 아크 패시브가 없습니다.');
+  assert.equal(formatArkPassive({ ...ARK_PASSIVE, IsArkPassive: false }), '등록된 아크 패시브가 없습니다.');
+});
+
+test('시그니처 검색은 공백 무시', () => {
+  assert.ok(signatureMatches('절실한 구원 · 특화/신속', '절실한구원'));
+  assert.ok(!signatureMatches(null, '특화'));
+  assert.ok(signatureMatches(null, ''));
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeBoardOptions, selectBoardEntries, sortBoardEntries, formatBoardLine, describeBoardOptions, paginateLines,
+} from '../lib/board.js';
+import { markDuplicateRosters } from '../lib/verify.js';
+import { SIBLINGS, OTHER_SIBLINGS } from './data.js';
+
+const rosters = () => markDuplicateRosters([
+  { userId: '1', main: '바드장인', primary: true, verified: true, chars: SIBLINGS },
+  { userId: '2', main: '소서본캐', primary: true, verified: false, chars: OTHER_SIBLINGS },
+  { userId: '2', main: '창술창고', primary: false, verified: true, chars: SIBLINGS.slice(2) },
+  { userId: '3', main: '없는캐릭', primary: true, err: '조회 실패' },
+]);
+
+test('best 모드는 주 로스터마다 최고 레벨 캐릭터 하나', () => {
+  const entries = sortBoardEntries(selectBoardEntries(rosters(), {}), {});
+  assert.deepEqual(entries.map((e) => e.name), ['소서본캐', '바드장인']);
+  assert.equal(entries[1].levelNum, 1680);
+});
+
+test('필터: 서버 / 직업 / 최소 레벨 / 모든 로스터', () => {
+  const all = selectBoardEntries(rosters(), { mode: 'all', rosters: 'all' });
+  assert.equal(all.length, 5);
+  assert.deepEqual(selectBoardEntries(rosters(), { mode: 'all', server: '실리안' }).map((e) => e.name), ['창술창고']);
+  assert.deepEqual(selectBoardEntries(rosters(), { mode: 'all', className: '버서커' }).map((e) => e.name), ['버서커부캐']);
+  assert.equal(selectBoardEntries(rosters(), { mode: 'all', minLevel: 1650 }).length, 2);
+});
+
+test('빌드 필터는 넘겨 받은 시그니처로', () => {
+  const builds = new Map([['바드장인', '절실한 구원 · 특화/신속']]);
+  const entries = selectBoardEntries(rosters(), { build: '절실한구원' }, { builds });
+  assert.deepEqual(entries.map((e) => e.name), ['바드장인']);
+});
+
+test('전투력 정렬 + 상위 N', () => {
+  const entries = selectBoardEntries(rosters(), { mode: 'all' });
+  entries.find((e) => e.name === '창술창고').combatPower = 9999;
+  const sorted = sortBoardEntries(entries, { sort: 'combatPower', top: 2 });
+  assert.deepEqual(sorted.map((e) => e.name), ['창술창고', '소서본캐']);
+});
+
+test('보드 줄: 미인증 / 중복 / 전투력 / 빌드 표시', () => {
+  const [sorc] = selectBoardEntries(rosters(), { className: '소서리스' });
+  assert.equal(formatBoardLine(sorc, 1), '1. <@2> ❔미인증 — **소서본캐** (소서리스) | 1,700.00');
+  const bard = { ...selectBoardEntries(rosters(), { className: '바드' })[0], combatPower: 2345.5, build: '절실한 구원', duplicate: true };
+  assert.equal(formatBoardLine(bard, 2), '2. **<@1>** — **바드장인** (바드) | 1,680.00 | 전투력 2,345.5 | 절실한 구원 ⚠️중복 등록');
+});
+
+test('옵션 정리 / 요약 / 페이지 나누기', () => {
+  assert.deepEqual(normalizeBoardOptions({ sort: 'x', top: 0, build: '  ' }), normalizeBoardOptions({}));
+  assert.equal(describeBoardOptions({ sort: 'class', top: 10 }), '정렬: 직업 · 유저별 최고 캐릭터 · 상위 10');
+  const pages = paginateLines(Array.from({ length: 5 }, (_, i) => `line ${i}`), { maxLines: 2 });
+  assert.deepEqual(pages, ['line 0\nline 1', 'line 2\nline 3', 'line 4']);
+  assert.deepEqual(paginateLines([]), ['']);
+});
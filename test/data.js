@@ -0,0 +1,33 @@
+// test/data.js
+// 테스트용 API 응답 샘플 (실제 응답 모양을 줄인 것)
+export const SIBLINGS = [
+  { ServerName: '루페온', CharacterName: '바드장인', CharacterLevel: 70, CharacterClassName: '바드', ItemAvgLevel: '1,680.00' },
+  { ServerName: '루페온', CharacterName: '버서커부캐', CharacterLevel: 70, CharacterClassName: '버서커', ItemAvgLevel: '1,640.83' },
+  { ServerName: '실리안', CharacterName: '창술창고', CharacterLevel: 60, CharacterClassName: '창술사', ItemAvgLevel: '1,415.00' },
+];
+
+export const OTHER_SIBLINGS = [
+  { ServerName: '루페온', CharacterName: '소서본캐', CharacterLevel: 70, CharacterClassName: '소서리스', ItemAvgLevel: '1,700.00' },
+];
+
+export const PROFILE = {
+  CharacterName: '바드장인',
+  ItemAvgLevel: '1,680.00',
+  CombatPower: '2,345.67',
+  GuildName: '모코코클럽',
+  Title: '빛나는 LOA-ABC123',
+};
+
+export const ARK_PASSIVE = {
+  IsArkPassive: true,
+  Points: [
+    { Name: '진화', Value: 120, Description: '<FONT>6랭크 25레벨</FONT>' },
+    { Name: '깨달음', Value: 101, Description: '' },
+  ],
+  Effects: [
+    { Name: '진화', Description: "<FONT color='#F1D594'>진화</FONT> 1티어 <FONT color='#FFFFFF'>특화 Lv.30</FONT>" },
+    { Name: '진화', Description: "<FONT color='#F1D594'>진화</FONT> 1티어 <FONT color='#FFFFFF'>신속 Lv.10</FONT>" },
+    { Name: '깨달음', Description: "<FONT color='#83E9FF'>깨달음</FONT> 1티어 <FONT color='#FFFFFF'>절실한 구원 Lv.1</FONT>" },
+    { Name: '도약', Description: "<FONT color='#C2EA55'>도약</FONT> 1티어 <FONT color='#FFFFFF'>초월적인 힘 Lv.3</FONT>" },
+  ],
+};
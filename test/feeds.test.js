@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  unseenItems, rememberKeys, kstDateKey, parseHHMM, isCalendarDue, scheduleForDay, formatSchedule,
+} from '../lib/feeds.js';
+
+test('새 글만 오래된 순으로, 본 키는 최근 limit 개', () => {
+  const seen = rememberKeys([], [{ Link: 'a' }, { Link: 'b' }]);
+  assert.deepEqual(unseenItems([{ Link: 'd' }, { Link: 'c' }, { Link: 'a' }], seen), [{ Link: 'c' }, { Link: 'd' }]);
+  assert.deepEqual(rememberKeys(['a', 'b'], [{ Link: 'c' }], 2), ['b', 'c']);
+});
+
+test('KST 기준 게시 시각', () => {
+  const now = Date.UTC(2026, 9, 18, 23, 30); // KST 10/19 08:30
+  assert.equal(kstDateKey(now), '2026-10-19');
+  assert.equal(parseHHMM('8:05'), 485);
+  assert.equal(parseHHMM('24:00'), null);
+  assert.ok(isCalendarDue({ calendarTime: '08:00' }, now));
+  assert.ok(!isCalendarDue({ calendarTime: '09:00' }, now));
+  assert.ok(!isCalendarDue({ calendarTime: '08:00', lastCalendarDate: '2026-10-19' }, now));
+});
+
+test('오늘 일정만 분류별로', () => {
+  const calendar = [
+    { CategoryName: '모험 섬', ContentsName: '하모니 섬', StartTimes: ['2026-10-19T19:00:00', '2026-10-19T11:00:00', '2026-10-20T11:00:00'] },
+    { CategoryName: '카오스게이트', ContentsName: '악몽', StartTimes: ['2026-10-18T11:00:00'] },
+    { CategoryName: '필드보스', ContentsName: '세베크 아툰', StartTimes: ['2026-10-19T11:00:00'] },
+  ];
+  assert.deepEqual(formatSchedule(scheduleForDay(calendar, '2026-10-19')), [
+    '🏝️ **모험 섬**', '• 하모니 섬 — 11:00 19:00', '👹 **필드보스**', '• 세베크 아툰 — 11:00',
+  ]);
+  assert.deepEqual(formatSchedule(scheduleForDay([], '2026-10-19')), ['오늘 예정된 일정이 없습니다.']);
+});
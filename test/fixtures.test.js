@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLostArkClient } from '../lib/lostark-api.js';
+import { withFixtures, FixtureMissingError } from '../lib/fixtures.js';
+import { startMockApi } from './mock-api.js';
+import { PROFILE } from './data.js';
+
+const PROFILE_URL = `/armories/characters/${encodeURIComponent('바드장인')}/profiles`;
+
+test('record 로 저장한 응답을 replay 는 네트워크 없이 돌려줌', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loa-fixtures-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const mock = await startMockApi({
+    'GET /armories/characters/바드장인/profiles': { data: PROFILE },
+    'POST /markets/items': { data: { Items: [{ Name: '운명의 파괴석', CurrentMinPrice: 12 }] } },
+  });
+  const recorder = withFixtures(createLostArkClient({ baseURL: mock.baseURL }), { mode: 'record', dir });
+  assert.deepEqual(await recorder.get(PROFILE_URL), PROFILE);
+  await recorder.post('/markets/items', { ItemName: '운명의 파괴석' });
+  await mock.close();
+  assert.equal(fs.readdirSync(dir).length, 2);
+
+  // 닫힌 포트 — 실제로 호출하면 실패해야 함
+  const offline = createLostArkClient({ baseURL: mock.baseURL, maxRetries: 0 });
+  const replay = withFixtures(offline, { mode: 'replay', dir });
+  assert.deepEqual(await replay.get(PROFILE_URL), PROFILE);
+  const market = await replay.post('/markets/items', { ItemName: '운명의 파괴석' });
+  assert.equal(market.Items[0].CurrentMinPrice, 12);
+});
+
+test('replay 에 없는 요청은 FixtureMissingError', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loa-fixtures-'));
+  const replay = withFixtures({ get: () => assert.fail('network'), post: () => assert.fail('network') }, { mode: 'replay', dir });
+  await assert.rejects(replay.get('/news/notices'), FixtureMissingError);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('mode 가 없으면 원래 클라이언트, 모르는 mode 는 오류', () => {
+  const api = { get() {}, post() {} };
+  assert.equal(withFixtures(api, {}), api);
+  assert.throws(() => withFixtures(api, { mode: 'rewind' }), /unknown fixture mode/);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { guildConfig, validateConfigValue, createCooldowns, CONFIG_DEFAULTS, DEFAULT_COOLDOWNS } from '../lib/guild-config.js';
+
+test('저장된 일부 설정에 기본값 채우기', () => {
+  const cfg = guildConfig({ refreshMinutes: 30, cooldowns: { 'board-refresh': 0 } });
+  assert.equal(cfg.refreshMinutes, 30);
+  assert.equal(cfg.scanLimit, CONFIG_DEFAULTS.scanLimit);
+  assert.equal(cfg.boardTitle, CONFIG_DEFAULTS.boardTitle);
+  assert.deepEqual(cfg.cooldowns, { ...DEFAULT_COOLDOWNS, 'board-refresh': 0 });
+  assert.deepEqual(guildConfig(undefined).adminRoleIds, []);
+  assert.equal(guildConfig(null).webToken, null);
+});
+
+test('설정 범위 검증', () => {
+  assert.equal(validateConfigValue('refreshMinutes', 5), null);
+  assert.match(validateConfigValue('refreshMinutes', 4), /5 ~ 1440/);
+  assert.match(validateConfigValue('scanLimit', Number.NaN), /10 ~ 100/);
+  assert.equal(validateConfigValue('boardTitle', '우리 길드'), null);
+  assert.match(validateConfigValue('boardTitle', ''), /1~200자/);
+  assert.match(validateConfigValue('nope', 1), /알 수 없는 설정/);
+});
+
+test('쿨다운: 대기 중이면 남은 시간, 0초면 항상 통과', () => {
+  const cd = createCooldowns();
+  assert.equal(cd.take('g:board-refresh', 60, 0), 0);
+  assert.equal(cd.take('g:board-refresh', 60, 20_000), 40_000);
+  assert.equal(cd.take('other:board-refresh', 60, 20_000), 0); // 길드마다 따로
+  assert.equal(cd.take('g:board-refresh', 60, 60_000), 0);
+  assert.equal(cd.take('g:x', 0, 0), 0);
+  assert.equal(cd.take('g:x', 0, 0), 0);
+});
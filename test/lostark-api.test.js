@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLostArkClient } from '../lib/lostark-api.js';
+import { startMockApi } from './mock-api.js';
+import { SIBLINGS } from './data.js';
+
+const SIBLINGS_URL = `/characters/${encodeURIComponent('바드장인')}/siblings`;
+
+test('GET 은 캐시되고 같은 URL 동시 요청은 한 번만 호출', async (t) => {
+  const mock = await startMockApi({ 'GET /characters/바드장인/siblings': { data: SIBLINGS } });
+  t.after(mock.close);
+  const api = createLostArkClient({ baseURL: mock.baseURL, apiKey: 'k' });
+
+  const [a, b] = await Promise.all([api.get(SIBLINGS_URL), api.get(SIBLINGS_URL)]);
+  assert.deepEqual(a, SIBLINGS);
+  assert.deepEqual(b, SIBLINGS);
+  await api.get(SIBLINGS_URL);
+  assert.equal(mock.hits('GET /characters/바드장인/siblings'), 1);
+  assert.equal(mock.requests[0].headers.authorization, 'Bearer k');
+});
+
+test('POST 는 본문별로 따로 캐시', async (t) => {
+  const mock = await startMockApi({
+    'POST /markets/items': (_, body) => ({ data: { Items: [{ Name: body.ItemName, CurrentMinPrice: 10 }] } }),
+  });
+  t.after(mock.close);
+  const api = createLostArkClient({ baseURL: mock.baseURL });
+
+  const a = await api.post('/markets/items', { ItemName: '운명의 파괴석' });
+  const b = await api.post('/markets/items', { ItemName: '운명의 수호석' });
+  await api.post('/markets/items', { ItemName: '운명의 파괴석' });
+  assert.equal(a.Items[0].Name, '운명의 파괴석');
+  assert.equal(b.Items[0].Name, '운명의 수호석');
+  assert.equal(mock.hits('POST /markets/items'), 2);
+});
+
+test('429 는 Retry-After 만큼 기다렸다 재시도, 호출마다 onResponse', async (t) => {
+  const mock = await startMockApi({
+    'GET /news/notices': [{ status: 429, headers: { 'Retry-After': '0' } }, { data: [{ Title: '점검' }] }],
+  });
+  t.after(mock.close);
+  const seen = [];
+  const api = createLostArkClient({ baseURL: mock.baseURL, onResponse: (r) => seen.push(r) });
+
+  assert.deepEqual(await api.get('/news/notices'), [{ Title: '점검' }]);
+  assert.deepEqual(seen.map((r) => [r.status, r.ok]), [[429, false], [200, true]]);
+});
+
+test('4xx 는 재시도하지 않고 그대로 실패', async (t) => {
+  const mock = await startMockApi({ 'GET /news/events': { status: 401, data: { message: 'unauthorized' } } });
+  t.after(mock.close);
+  const api = createLostArkClient({ baseURL: mock.baseURL, retryBaseMs: 1 });
+
+  await assert.rejects(api.get('/news/events'), (e) => e.response?.status === 401);
+  assert.equal(mock.hits('GET /news/events'), 1);
+});
+
+test('호출이 끝내 실패하면 남아 있는 캐시로 대체', async (t) => {
+  const mock = await startMockApi({
+    'GET /gamecontents/calendar': [{ data: [{ ContentsName: '하모니 섬' }] }, { status: 500 }],
+  });
+  t.after(mock.close);
+  const api = createLostArkClient({ baseURL: mock.baseURL, ttlMs: 0, staleMs: 0, maxRetries: 1, retryBaseMs: 1 });
+
+  const first = await api.get('/gamecontents/calendar');
+  const second = await api.get('/gamecontents/calendar');
+  assert.deepEqual(second, first);
+  assert.equal(mock.hits('GET /gamecontents/calendar'), 3);
+});
+
+test('X-RateLimit-Remaining 0 이면 리셋 시각까지 다음 호출을 미룸', async (t) => {
+  const resetAt = Math.ceil(Date.now() / 1000) + 1;
+  const mock = await startMockApi({
+    'GET /a': { headers: { 'X-RateLimit-Limit': '100', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(resetAt) }, data: 1 },
+    'GET /b': { data: 2 },
+  });
+  t.after(mock.close);
+  const api = createLostArkClient({ baseURL: mock.baseURL });
+
+  await api.get('/a');
+  await api.get('/b');
+  assert.ok(Date.now() >= resetAt * 1000 - 5);
+});
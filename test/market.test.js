@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchBody, pickQuote, checkWatch, pushPrice, watchKey } from '../lib/market.js';
+
+test('거래소는 이름이 같은 항목, 경매장은 즉시 구매 최저가', () => {
+  const market = { Items: [
+    { Name: '운명의 파괴석 결정', CurrentMinPrice: 30, BundleCount: 100 },
+    { Name: '운명의 파괴석', CurrentMinPrice: 12, BundleCount: 100, YDayAvgPrice: 11.5 },
+  ] };
+  assert.deepEqual(pickQuote('honing', market, '운명의 파괴석'), {
+    name: '운명의 파괴석', grade: null, icon: null, price: 12, bundle: 100, yesterday: 11.5,
+  });
+  const auction = { Items: [
+    { Name: '10레벨 겁화', AuctionInfo: { BuyPrice: 500 } },
+    { Name: '10레벨 겁화', AuctionInfo: { BuyPrice: 0 } },
+    { Name: '10레벨 겁화', AuctionInfo: { BuyPrice: 300 } },
+  ] };
+  assert.equal(pickQuote('gem', auction, '10레벨 겁화').price, 300);
+  assert.equal(pickQuote('honing', { Items: [] }, 'x'), null);
+  // 부분 일치 검색 결과만 있으면 다른 아이템으로 대신하지 않음
+  assert.equal(pickQuote('honing', market, '파괴석'), null);
+  assert.equal(pickQuote('gem', auction, '10레벨'), null);
+  assert.equal(searchBody('gem', 'x').CategoryCode, 210000);
+});
+
+test('기준을 넘어가는 순간만 알림', () => {
+  const w = { threshold: 12, direction: 'below' };
+  const notified = [13, 12, 11, 14, 10, null].map((p) => {
+    const r = checkWatch(w, p);
+    w.hit = r.hit;
+    return r.notify;
+  });
+  assert.deepEqual(notified, [false, true, false, false, true, false]);
+  assert.equal(checkWatch({ threshold: 100, direction: 'above' }, 100).notify, true);
+});
+
+test('시세 기록: 같은 값이 이어지면 시각만 갱신, 보관 기간/개수 제한', () => {
+  let list;
+  [1, 1, 1, 2].forEach((p, i) => { list = pushPrice(list, p, { now: i * 1000 }); });
+  assert.deepEqual(list, [{ ts: 0, price: 1 }, { ts: 2000, price: 1 }, { ts: 3000, price: 2 }]);
+  assert.equal(pushPrice(list, 3, { now: 3500, retentionMs: 1000 }).length, 2);
+  assert.equal(pushPrice(list, 3, { now: 4000, limit: 2 }).length, 2);
+  assert.equal(watchKey('honing', '운명의 파괴석'), watchKey('honing', '운명의  파괴석 '));
+});
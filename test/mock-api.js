@@ -0,0 +1,43 @@
+// test/mock-api.js
+// 로컬 Lost Ark API 대역 — 경로별 고정 응답 / 상태 코드 순서, 받은 요청 기록 (네트워크 X)
+import http from 'http';
+
+// routes: { 'GET /path': { status?, headers?, data } | (req, body) => 같은 모양 }
+// 순서가 있는 응답은 배열: [{ status: 429 }, { data }] — 마지막 것은 계속 반복
+export async function startMockApi(routes = {}) {
+  const requests = [];
+  const counts = new Map();
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      const key = `${req.method} ${decodeURIComponent(req.url)}`;
+      const body = raw ? JSON.parse(raw) : undefined;
+      requests.push({ key, body, headers: req.headers });
+
+      let route = routes[key];
+      if (Array.isArray(route)) {
+        const n = counts.get(key) ?? 0;
+        counts.set(key, n + 1);
+        route = route[Math.min(n, route.length - 1)];
+      }
+      const reply = typeof route === 'function' ? route(req, body) : route;
+      if (reply === undefined) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end('null');
+      }
+      const { status = 200, headers = {}, data = null } = reply;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(data));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseURL: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    hits: (key) => requests.filter((r) => r.key === key).length,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
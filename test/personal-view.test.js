@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLostArkClient } from '../lib/lostark-api.js';
+import { sortByLevel, personalViewData, formatCombatPower } from '../lib/personal-view.js';
+import { startMockApi } from './mock-api.js';
+import { SIBLINGS, PROFILE, ARK_PASSIVE } from './data.js';
+
+const enc = encodeURIComponent;
+
+test('목 API 응답으로 개인 캐릭터 목록 만들기', async (t) => {
+  const mock = await startMockApi({
+    'GET /characters/창술창고/siblings': { data: SIBLINGS },
+    'GET /armories/characters/바드장인/profiles': { data: PROFILE },
+    'GET /armories/characters/바드장인/arkpassive': { data: ARK_PASSIVE },
+  });
+  t.after(mock.close);
+  const api = createLostArkClient({ baseURL: mock.baseURL });
+
+  const sorted = sortByLevel(await api.get(`/characters/${enc('창술창고')}/siblings`));
+  const main = sorted[0].CharacterName;
+  const view = personalViewData({
+    displayName: '길동',
+    sorted,
+    mainName: '바드장인',
+    profile: await api.get(`/armories/characters/${enc(main)}/profiles`),
+    ark: await api.get(`/armories/characters/${enc(main)}/arkpassive`),
+    homeworkTitle: '📋 이번 주 숙제',
+    homeworkText: '• 바드장인: 카제로스 1막',
+    link: { main: '바드장인', rosters: [{ main: '바드장인', verified: true }, { main: '소서본캐', verified: false }] },
+  });
+
+  assert.equal(view.title, '**길동**님의 캐릭터 목록');
+  assert.equal(view.description.split('\n')[0], '• **바드장인** (바드) — 루페온 | 아이템 레벨 1,680.00');
+  assert.deepEqual(view.fields.map((f) => f.name), [
+    '⚔ 전투력 (메인캐릭)', '🌌 아크 패시브 (메인캐릭)', '📋 이번 주 숙제', '📚 다른 로스터',
+  ]);
+  assert.equal(view.fields[0].value, (2345.67).toLocaleString('ko-KR'));
+  assert.match(view.fields[1].value, /절실한 구원/);
+  assert.equal(view.fields[3].value, '• 소서본캐 ❔미인증');
+  assert.deepEqual(view.selectOptions.map((o) => o.value), ['바드장인', '버서커부캐', '창술창고']);
+});
+
+test('조회 실패는 정보 없음, 숙제/다른 로스터 없으면 필드 생략', () => {
+  const view = personalViewData({
+    displayName: '길동', sorted: sortByLevel(SIBLINGS), mainName: '바드장인',
+    profile: null, ark: null, link: null,
+  });
+  assert.deepEqual(view.fields.map((f) => f.value), ['정보 없음', '정보 없음']);
+  assert.equal(formatCombatPower({ ArmoryProfile: { CombatPower: null } }), '정보 없음');
+});
+
+test('드롭다운 옵션은 25개까지', () => {
+  const many = Array.from({ length: 30 }, (_, i) => ({ ...SIBLINGS[0], CharacterName: `c${i}` }));
+  assert.equal(personalViewData({ displayName: 'x', sorted: many, mainName: 'c0' }).selectOptions.length, 25);
+});
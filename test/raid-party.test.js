@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseKstDateTime } from '../lib/raid-party.js';
+
+test('KST 날짜/시각 파싱', () => {
+  assert.equal(new Date(parseKstDateTime('2026-02-28 20:00')).toISOString(), '2026-02-28T11:00:00.000Z');
+  assert.equal(new Date(parseKstDateTime('2028-02-29 20:00')).toISOString(), '2028-02-29T11:00:00.000Z');
+});
+
+test('없는 날짜는 다음 달로 넘기지 않고 거절', () => {
+  assert.equal(parseKstDateTime('2026-02-30 20:00'), null);
+  assert.equal(parseKstDateTime('2026-04-31 20:00'), null);
+  assert.equal(parseKstDateTime('2026-13-01 20:00'), null);
+  assert.equal(parseKstDateTime('2026-01-01 24:00'), null);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyEditFailure, nextEditHealth, healthBadge, MAX_EDIT_FAILURES } from '../lib/reconcile.js';
+
+test('디스코드 오류 코드 분류', () => {
+  assert.equal(classifyEditFailure(10008), 'gone');
+  assert.equal(classifyEditFailure(10003), 'gone');
+  assert.equal(classifyEditFailure(50001), 'no-access');
+  assert.equal(classifyEditFailure(undefined), 'error');
+});
+
+test('404 는 바로 정리, 접근 불가는 N번 연속 후 정리, 일시 오류는 유지', () => {
+  assert.equal(nextEditHealth(undefined, 'gone').prune, true);
+
+  let health;
+  const prunes = [];
+  for (let n = 0; n < MAX_EDIT_FAILURES; n++) {
+    const next = nextEditHealth(health, 'no-access', { error: 'Missing Access', now: n });
+    health = next.health;
+    prunes.push(next.prune);
+  }
+  assert.equal(prunes.lastIndexOf(false), MAX_EDIT_FAILURES - 2);
+  assert.equal(prunes.at(-1), true);
+  assert.equal(health.lastError, 'no-access: Missing Access');
+
+  let flaky;
+  for (let n = 0; n < MAX_EDIT_FAILURES * 2; n++) flaky = nextEditHealth(flaky?.health, 'error');
+  assert.equal(flaky.prune, false);
+});
+
+test('성공하면 연속 실패 초기화, 상태 표시', () => {
+  const failed = nextEditHealth(undefined, 'error', { error: '500', now: 1 }).health;
+  assert.match(healthBadge(failed), /^⚠️ 연속 실패 1회/);
+  const ok = nextEditHealth(failed, 'unchanged', { now: 2 }).health;
+  assert.deepEqual(ok, { failures: 0, lastOkAt: 2 });
+  assert.equal(healthBadge(ok), '✅ 정상');
+  assert.equal(healthBadge(undefined), '⏳ 아직 갱신 전');
+});
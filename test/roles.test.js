@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { desiredRoleIds, managedRoleIds, planRoleChanges } from '../lib/roles.js';
+
+const CONFIG = {
+  levels: [{ minLevel: 1640, roleId: 'r1640' }, { minLevel: 1680, roleId: 'r1680' }],
+  classes: { support: 'rSup', dealer: 'rDeal' },
+};
+
+test('레벨 구간은 가장 높은 하나만, 직업 분류 역할 추가', () => {
+  assert.deepEqual([...desiredRoleIds(CONFIG, { className: '바드', level: 1685 })], ['r1680', 'rSup']);
+  assert.deepEqual([...desiredRoleIds(CONFIG, { className: '버서커', level: 1650 })], ['r1640', 'rDeal']);
+  assert.deepEqual([...desiredRoleIds(CONFIG, { className: '버서커', level: 1600 })], ['rDeal']);
+  assert.deepEqual([...desiredRoleIds(CONFIG, null)], []);
+  assert.deepEqual([...managedRoleIds(CONFIG)].sort(), ['r1640', 'r1680', 'rDeal', 'rSup']);
+});
+
+test('변경 계획: 조회 실패는 건드리지 않고, 연결 없으면 관리 역할만 회수', () => {
+  const plan = planRoleChanges(CONFIG, [
+    // 레벨업 → 구간 교체
+    { userId: 'a', roleIds: ['r1640', 'rSup'], best: { className: '바드', level: 1681 } },
+    // 이미 맞음 → 계획 없음
+    { userId: 'b', roleIds: ['r1640', 'rDeal'], best: { className: '버서커', level: 1650 } },
+    // 조회 실패 → 그대로
+    { userId: 'c', roleIds: ['r1680'], known: false },
+    // 연결 없음 → 관리 역할 회수, 다른 역할은 유지
+    { userId: 'd', roleIds: ['r1680', 'rSup', 'other'], best: null },
+  ]);
+  assert.deepEqual(plan, [
+    { userId: 'a', add: ['r1680'], remove: ['r1640'] },
+    { userId: 'd', add: [], remove: ['r1680', 'rSup'] },
+  ]);
+});
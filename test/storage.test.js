@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openStorage, LEGACY_GUILD_KEY } from '../lib/storage/index.js';
+
+const DOCUMENTS = ['links', 'boards'];
+// better-sqlite3 는 optionalDependency — 설치 안 됐으면 sqlite 쪽은 건너뜀
+const hasSqlite = await import('better-sqlite3').then(() => true, () => false);
+
+// v1 이전 형식: 길드 없는 links + 단일 personal + guildId 없는 보드 + 로스터 하나
+const LEGACY_LINKS = {
+  u1: {
+    main: '바드장인',
+    personal: { channelId: 'c1', messageId: 'm1' },
+    verified: true,
+    verifyMethod: 'code',
+  },
+  u2: { main: '워로드', verifyCode: 'LOA-1234' },
+};
+const LEGACY_BOARDS = [{ channelId: 'c1', messageId: 'b1' }];
+
+function seed(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loa-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, value] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(value));
+  }
+  return dir;
+}
+
+for (const driver of ['json', 'sqlite']) {
+  const opts = { skip: driver === 'sqlite' && !hasSqlite && 'better-sqlite3 없음' };
+  test(`${driver}: v1~v4 마이그레이션`, opts, async (t) => {
+    const dir = seed(t, { links: LEGACY_LINKS, boards: LEGACY_BOARDS });
+    const store = await openStorage({ driver, dir, documents: DOCUMENTS, migrationContext: { defaultGuildId: 'g1' } });
+    t.after(() => store.close());
+
+    assert.equal(store.load('meta').schemaVersion, 4);
+    assert.deepEqual(store.load('boards'), [{ guildId: 'g1', channelId: 'c1', messageId: 'b1' }]);
+    assert.deepEqual(store.load('links'), {
+      g1: {
+        u1: {
+          main: '바드장인',
+          personals: [{ channelId: 'c1', messageId: 'm1', main: '바드장인' }],
+          rosters: [{ main: '바드장인', verified: true, verifyMethod: 'code' }],
+        },
+        u2: {
+          main: '워로드',
+          personals: [],
+          rosters: [{ main: '워로드', verified: false, verifyCode: 'LOA-1234' }],
+        },
+      },
+    });
+  });
+
+  test(`${driver}: 이미 적용한 버전은 다시 실행하지 않음`, opts, async (t) => {
+    const dir = seed(t, { links: LEGACY_LINKS, boards: LEGACY_BOARDS });
+    const first = await openStorage({ driver, dir, documents: DOCUMENTS, migrationContext: { defaultGuildId: 'g1' } });
+    const migrated = first.load('links');
+    first.close();
+
+    const again = await openStorage({ driver, dir, documents: DOCUMENTS, migrationContext: { defaultGuildId: 'g2' } });
+    t.after(() => again.close());
+    assert.deepEqual(again.load('links'), migrated);
+    assert.equal(again.load('boards')[0].guildId, 'g1');
+  });
+
+  test(`${driver}: GUILD_ID 없이 예전 links 면 시작은 하고 임시 키에 보관`, opts, async (t) => {
+    const dir = seed(t, { links: LEGACY_LINKS, boards: LEGACY_BOARDS });
+    const store = await openStorage({ driver, dir, documents: DOCUMENTS });
+    t.after(() => store.close());
+
+    const links = store.load('links');
+    assert.deepEqual(Object.keys(links), [LEGACY_GUILD_KEY]);
+    // 뒤 버전도 임시 키 안에서 그대로 적용
+    assert.deepEqual(links[LEGACY_GUILD_KEY].u1.rosters, [{ main: '바드장인', verified: true, verifyMethod: 'code' }]);
+    assert.equal(links[LEGACY_GUILD_KEY].u1.personal, undefined);
+    // 길드를 모르면 보드는 그대로 (갱신 때 채널에서 채움)
+    assert.deepEqual(store.load('boards'), LEGACY_BOARDS);
+    assert.equal(store.load('meta').schemaVersion, 4);
+  });
+}
+
+test('새로 설치하면 빈 문서로 최신 버전', async (t) => {
+  const dir = seed(t, {});
+  const store = await openStorage({ driver: 'json', dir, documents: DOCUMENTS, migrationContext: { defaultGuildId: 'g1' } });
+  assert.deepEqual(store.load('links', {}), {});
+  assert.equal(store.load('meta').schemaVersion, 4);
+});
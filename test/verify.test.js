@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { guildMatches, profileHasCode, findRosterClaims, markDuplicateRosters, newVerifyCode } from '../lib/verify.js';
+
+test('인게임 길드 / 프로필 코드 확인 (공백·대소문자 무시)', () => {
+  assert.equal(guildMatches({ GuildName: '루페온 상단' }, '루페온상단'), true);
+  assert.equal(guildMatches({ GuildName: '다른 길드' }, '루페온상단'), false);
+  assert.equal(guildMatches({ GuildName: '루페온상단' }, null), false);
+
+  const code = newVerifyCode();
+  assert.match(code, /^LOA-[0-9A-F]{6}$/);
+  assert.equal(profileHasCode({ TownName: `우리 영지 ${code.toLowerCase()}` }, code), true);
+  assert.equal(profileHasCode({ TownName: '우리 영지', ItemAvgLevel: 1680 }, code), false);
+  assert.equal(profileHasCode(null, code), false);
+});
+
+test('같은 로스터를 등록한 다른 유저 찾기', () => {
+  const members = {
+    me: { rosters: [{ main: '바드장인', verified: false }] },
+    u1: { rosters: [{ main: '창술창고', verified: true }, { main: '소서본캐', verified: false }] },
+    u2: { rosters: [{ main: '버서커부캐' }] },
+    u3: { rosters: [{ main: '다른로스터', verified: true }] },
+  };
+  assert.deepEqual(findRosterClaims(members, ['바드장인', '창술창고', '버서커부캐'], 'me'), [
+    { userId: 'u1', main: '창술창고', verified: true },
+    { userId: 'u2', main: '버서커부캐', verified: false },
+  ]);
+  assert.deepEqual(findRosterClaims(members, ['없는캐릭'], 'me'), []);
+});
+
+test('다른 유저 로스터에 대표 캐릭터가 있으면 중복 표시', () => {
+  const names = (...n) => n.map((CharacterName) => ({ CharacterName }));
+  const rosters = markDuplicateRosters([
+    { userId: 'a', main: '바드장인', chars: names('바드장인', '창술창고') },
+    { userId: 'b', main: '창술창고', chars: names('창술창고', '바드장인') },
+    { userId: 'c', main: '소서본캐', chars: names('소서본캐') },
+    { userId: 'd', main: '조회실패', err: 'down' },
+  ]);
+  assert.deepEqual(rosters.map((r) => r.duplicate), [true, true, false, undefined]);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenAllowed, renderRosterHtml, rosterRows } from '../lib/web.js';
+
+test('길드 토큰이 없으면 항상 거절, 있으면 쿼리 또는 Bearer 로 일치해야', () => {
+  assert.equal(tokenAllowed(null, {}), false);
+  assert.equal(tokenAllowed(null, { query: 'anything' }), false);
+  assert.equal(tokenAllowed('abc', { query: 'abc' }), true);
+  assert.equal(tokenAllowed('abc', { authorization: 'Bearer abc' }), true);
+  assert.equal(tokenAllowed('abc', { query: 'abd' }), false);
+  assert.equal(tokenAllowed('abc', {}), false);
+});
+
+test('HTML 은 이름을 이스케이프하고 정렬 링크에 guild/token 유지', () => {
+  const rows = rosterRows([{ userId: '1', name: '<b>x', cls: '바드', server: '루페온', levelNum: 1680, verified: true }]);
+  const html = renderRosterHtml({ title: 'T', guildName: 'G', rows, sort: 'level', params: { guild: '9', token: 'a&b' } });
+  assert.match(html, /&lt;b&gt;x/);
+  assert.match(html, /href="\?guild=9&amp;token=a%26b&amp;sort=combatPower"/);
+});